@@ -0,0 +1,105 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { Pool } = require("pg");
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+// Migrations are NNN_name.up.sql files with a matching NNN_name.down.sql
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .map(file => /^(\d+)_(.+)\.up\.sql$/.exec(file))
+  .filter(Boolean)
+  .map(([file, version, name]) => ({
+    version,
+    name,
+    up: path.join(MIGRATIONS_DIR, file),
+    down: path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`)
+  }))
+  .sort((a, b) => a.version.localeCompare(b.version));
+const ensureMigrationsTable = (db) => db.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+const appliedVersions = async (db) => {
+  await ensureMigrationsTable(db);
+  const result = await db.query("SELECT version FROM schema_migrations ORDER BY version");
+  return result.rows.map(row => row.version);
+};
+const pendingMigrations = async (db) => {
+  const applied = new Set(await appliedVersions(db));
+  return listMigrations().filter(migration => !applied.has(migration.version));
+};
+// Each migration runs in its own transaction together with its bookkeeping row
+const runMigration = async (pool, migration, direction) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(fs.readFileSync(migration[direction], "utf8"));
+    if (direction === "up") {
+      await client.query(
+        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+const up = async (pool) => {
+  const pending = await pendingMigrations(pool);
+  for (const migration of pending) {
+    console.log(`Applying ${migration.version}_${migration.name}`);
+    await runMigration(pool, migration, "up");
+  }
+  return pending;
+};
+const down = async (pool, steps = 1) => {
+  const applied = (await appliedVersions(pool)).reverse().slice(0, steps);
+  const migrations = listMigrations();
+  for (const version of applied) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration || !fs.existsSync(migration.down)) {
+      throw new Error(`No down migration for version ${version}`);
+    }
+    console.log(`Reverting ${migration.version}_${migration.name}`);
+    await runMigration(pool, migration, "down");
+  }
+};
+const main = async () => {
+  const [command = "up", arg] = process.argv.slice(2);
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  try {
+    if (command === "up") {
+      const applied = await up(pool);
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : "Schema is up to date");
+    } else if (command === "down") {
+      await down(pool, parseInt(arg) || 1);
+    } else if (command === "status") {
+      const applied = new Set(await appliedVersions(pool));
+      for (const migration of listMigrations()) {
+        console.log(`${applied.has(migration.version) ? "applied" : "pending"}  ${migration.version}_${migration.name}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}", use up, down [steps] or status`);
+    }
+  } finally {
+    await pool.end();
+  }
+};
+if (require.main === module) {
+  main().catch(err => {
+    console.error("Migration failed:", err.message);
+    process.exit(1);
+  });
+}
+module.exports = { listMigrations, pendingMigrations, up, down };
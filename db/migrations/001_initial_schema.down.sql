@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS bill_items;
+DROP TABLE IF EXISTS bills;
+DROP TABLE IF EXISTS products;
+DROP TABLE IF EXISTS users;
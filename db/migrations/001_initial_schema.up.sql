@@ -0,0 +1,57 @@
+-- Tables the API was originally written against. IF NOT EXISTS lets databases
+-- created before migrations existed adopt them without changes.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT,
+  shop_name TEXT,
+  shop_address TEXT,
+  phone TEXT,
+  email TEXT,
+  gst TEXT,
+  avatar_url TEXT,
+  settings JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS products (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  price NUMERIC(12, 2) NOT NULL CHECK (price >= 0),
+  mrp NUMERIC(12, 2) NOT NULL CHECK (mrp >= 0),
+  image_url TEXT,
+  sku TEXT,
+  category TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT products_sku_key UNIQUE (sku)
+);
+CREATE INDEX IF NOT EXISTS products_created_at_idx ON products (created_at DESC);
+-- Trigram indexes serve the name/sku ILIKE '%term%' search
+CREATE INDEX IF NOT EXISTS products_name_trgm_idx ON products USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS products_sku_trgm_idx ON products USING gin (sku gin_trgm_ops);
+
+CREATE TABLE IF NOT EXISTS bills (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  total_amount NUMERIC(12, 2) NOT NULL,
+  total_mrp NUMERIC(12, 2) NOT NULL,
+  total_savings NUMERIC(12, 2) NOT NULL,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS bills_created_at_idx ON bills (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS bill_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bill_id UUID NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  price NUMERIC(12, 2) NOT NULL,
+  mrp NUMERIC(12, 2) NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0)
+);
+CREATE INDEX IF NOT EXISTS bill_items_bill_id_idx ON bill_items (bill_id);
+CREATE INDEX IF NOT EXISTS bill_items_product_id_idx ON bill_items (product_id);
@@ -0,0 +1,9 @@
+DROP INDEX IF EXISTS products_shop_id_sku_key;
+ALTER TABLE products ADD CONSTRAINT products_sku_key UNIQUE (sku);
+DROP INDEX IF EXISTS bills_shop_id_created_at_idx;
+DROP INDEX IF EXISTS products_shop_id_created_at_idx;
+ALTER TABLE bills DROP COLUMN IF EXISTS shop_id;
+ALTER TABLE products DROP COLUMN IF EXISTS shop_id;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP INDEX IF EXISTS users_email_lower_key;
+ALTER TABLE users DROP COLUMN IF EXISTS password_hash;
@@ -0,0 +1,28 @@
+-- Accounts, refresh tokens and per-shop ownership of products and bills.
+-- Each users row is a shop; products and bills belong to exactly one shop.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS users_email_lower_key ON users (lower(email));
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS refresh_tokens_user_id_idx ON refresh_tokens (user_id);
+
+-- Existing rows have no owner; assign them before 020_shop_id_not_null, which
+-- makes the columns NOT NULL:
+--   UPDATE products SET shop_id = '<user id>' WHERE shop_id IS NULL;
+--   UPDATE bills SET shop_id = '<user id>' WHERE shop_id IS NULL;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES users(id);
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES users(id);
+CREATE INDEX IF NOT EXISTS products_shop_id_created_at_idx ON products (shop_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS bills_shop_id_created_at_idx ON bills (shop_id, created_at DESC);
+
+-- SKUs only have to be unique within a shop
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_sku_key;
+CREATE UNIQUE INDEX IF NOT EXISTS products_shop_id_sku_key ON products (shop_id, sku);
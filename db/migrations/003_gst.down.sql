@@ -0,0 +1,17 @@
+ALTER TABLE bill_items
+  DROP COLUMN IF EXISTS igst,
+  DROP COLUMN IF EXISTS sgst,
+  DROP COLUMN IF EXISTS cgst,
+  DROP COLUMN IF EXISTS taxable_value,
+  DROP COLUMN IF EXISTS tax_rate,
+  DROP COLUMN IF EXISTS hsn_code;
+ALTER TABLE bills
+  DROP COLUMN IF EXISTS total_tax,
+  DROP COLUMN IF EXISTS igst_total,
+  DROP COLUMN IF EXISTS sgst_total,
+  DROP COLUMN IF EXISTS cgst_total,
+  DROP COLUMN IF EXISTS taxable_value,
+  DROP COLUMN IF EXISTS place_of_supply;
+ALTER TABLE products
+  DROP COLUMN IF EXISTS hsn_code,
+  DROP COLUMN IF EXISTS tax_rate;
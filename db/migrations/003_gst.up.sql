@@ -0,0 +1,19 @@
+-- GST rates on products and the computed tax on bills and bill items.
+-- Amounts are tax-inclusive; taxable_value is the amount before GST.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS hsn_code TEXT;
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS place_of_supply CHAR(2);
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS taxable_value NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS cgst_total NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS sgst_total NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS igst_total NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS total_tax NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS hsn_code TEXT;
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS taxable_value NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS cgst NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS sgst NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS igst NUMERIC(12, 2) NOT NULL DEFAULT 0;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS bills_shop_id_invoice_number_key;
+ALTER TABLE bills DROP COLUMN IF EXISTS invoice_number;
+ALTER TABLE users DROP COLUMN IF EXISTS last_invoice_number;
@@ -0,0 +1,18 @@
+-- Gapless, per-shop invoice numbers. POST /api/bills takes the next number
+-- from users.last_invoice_number inside the bill transaction.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_invoice_number INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS invoice_number INTEGER;
+
+-- Number existing bills in the order they were created
+UPDATE bills b SET invoice_number = numbered.n
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY shop_id ORDER BY created_at, id) AS n
+  FROM bills
+) numbered
+WHERE b.id = numbered.id AND b.invoice_number IS NULL;
+UPDATE users u SET last_invoice_number = COALESCE(
+  (SELECT MAX(invoice_number) FROM bills WHERE shop_id = u.id), 0
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS bills_shop_id_invoice_number_key ON bills (shop_id, invoice_number);
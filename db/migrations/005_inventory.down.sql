@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS products_low_stock_idx;
+DROP TABLE IF EXISTS stock_movements;
+ALTER TABLE products
+  DROP COLUMN IF EXISTS reorder_level,
+  DROP COLUMN IF EXISTS stock_quantity;
@@ -0,0 +1,20 @@
+-- Stock levels and the stock movement ledger. products.stock_quantity is the
+-- running sum of stock_movements.quantity for that product.
+-- Overselling is allowed unless a shop sets users.settings.oversell to "block".
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS stock_quantity INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_level INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id UUID NOT NULL REFERENCES users(id),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  movement_type TEXT NOT NULL CHECK (movement_type IN ('purchase', 'sale', 'adjustment', 'return')),
+  quantity INTEGER NOT NULL CHECK (quantity <> 0),
+  bill_id UUID REFERENCES bills(id),
+  note TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS stock_movements_product_id_created_at_idx ON stock_movements (product_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS products_low_stock_idx ON products (shop_id) WHERE stock_quantity < reorder_level;
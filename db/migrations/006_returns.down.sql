@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS credit_note_items;
+DROP TABLE IF EXISTS credit_notes;
+ALTER TABLE users DROP COLUMN IF EXISTS last_credit_note_number;
+ALTER TABLE bill_items DROP COLUMN IF EXISTS returned_quantity;
+ALTER TABLE bills DROP COLUMN IF EXISTS status;
@@ -0,0 +1,45 @@
+-- Bill voids and partial returns. Bills are never edited; each void or return
+-- issues a credit note that links back to the bill and its items.
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'completed'
+  CHECK (status IN ('completed', 'partially_returned', 'returned', 'voided'));
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS returned_quantity INTEGER NOT NULL DEFAULT 0
+  CHECK (returned_quantity >= 0 AND returned_quantity <= quantity);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_credit_note_number INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id UUID NOT NULL REFERENCES users(id),
+  bill_id UUID NOT NULL REFERENCES bills(id),
+  credit_note_number INTEGER NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('void', 'return')),
+  reason TEXT NOT NULL,
+  total_amount NUMERIC(12, 2) NOT NULL,
+  total_mrp NUMERIC(12, 2) NOT NULL,
+  total_savings NUMERIC(12, 2) NOT NULL,
+  taxable_value NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  cgst_total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  sgst_total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  igst_total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  total_tax NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (shop_id, credit_note_number)
+);
+CREATE INDEX IF NOT EXISTS credit_notes_bill_id_idx ON credit_notes (bill_id);
+
+CREATE TABLE IF NOT EXISTS credit_note_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  credit_note_id UUID NOT NULL REFERENCES credit_notes(id),
+  bill_item_id UUID NOT NULL REFERENCES bill_items(id),
+  product_id UUID,
+  name TEXT,
+  price NUMERIC(12, 2) NOT NULL,
+  mrp NUMERIC(12, 2) NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  taxable_value NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  cgst NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  sgst NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  igst NUMERIC(12, 2) NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS credit_note_items_credit_note_id_idx ON credit_note_items (credit_note_id);
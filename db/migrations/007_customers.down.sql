@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS bills_customer_id_idx;
+ALTER TABLE bills DROP COLUMN IF EXISTS customer_gstin;
+ALTER TABLE bills DROP COLUMN IF EXISTS customer_id;
+DROP TABLE IF EXISTS customers;
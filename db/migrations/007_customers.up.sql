@@ -0,0 +1,20 @@
+-- Buyers a shop sells to. Phone numbers are unique per shop so the counter can
+-- find a repeat customer by phone; B2B buyers carry a GSTIN.
+
+CREATE TABLE IF NOT EXISTS customers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id UUID NOT NULL REFERENCES users(id),
+  name TEXT NOT NULL,
+  phone TEXT,
+  gstin TEXT,
+  address TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (shop_id, phone)
+);
+CREATE INDEX IF NOT EXISTS customers_name_trgm_idx ON customers USING gin (name gin_trgm_ops);
+
+-- The buyer's GSTIN is copied onto the bill so issued invoices never change
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES customers(id);
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS customer_gstin TEXT;
+CREATE INDEX IF NOT EXISTS bills_customer_id_idx ON bills (customer_id, created_at DESC);
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS bill_item_discounts;
+ALTER TABLE bill_items DROP COLUMN IF EXISTS discount;
+ALTER TABLE bills DROP COLUMN IF EXISTS coupon_code;
+ALTER TABLE bills DROP COLUMN IF EXISTS total_discount;
+DROP TABLE IF EXISTS promotions;
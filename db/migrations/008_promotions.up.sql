@@ -0,0 +1,40 @@
+-- Promotions applied while billing. A coupon_code gates a promotion behind a
+-- code; promotions without one apply automatically while they are active.
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id UUID NOT NULL REFERENCES users(id),
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('percent', 'flat', 'buy_x_get_y')),
+  value NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+  category TEXT,
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  buy_quantity INTEGER CHECK (buy_quantity > 0),
+  get_quantity INTEGER CHECK (get_quantity > 0),
+  min_bill_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  coupon_code TEXT,
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  usage_limit INTEGER CHECK (usage_limit > 0),
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (shop_id, coupon_code)
+);
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS total_discount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS coupon_code TEXT;
+-- discount is the line's share of every promotion, so the line is worth
+-- price * quantity - discount and GST is charged on that
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS discount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS bill_item_discounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bill_item_id UUID NOT NULL REFERENCES bill_items(id) ON DELETE CASCADE,
+  promotion_id UUID REFERENCES promotions(id) ON DELETE SET NULL,
+  promotion_name TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL
+);
+CREATE INDEX IF NOT EXISTS bill_item_discounts_bill_item_id_idx ON bill_item_discounts (bill_item_id);
+CREATE INDEX IF NOT EXISTS bill_item_discounts_promotion_id_idx ON bill_item_discounts (promotion_id);
@@ -0,0 +1,4 @@
+ALTER TABLE credit_notes DROP COLUMN IF EXISTS refund_mode;
+ALTER TABLE bills DROP COLUMN IF EXISTS payment_status;
+ALTER TABLE bills DROP COLUMN IF EXISTS amount_paid;
+DROP TABLE IF EXISTS payments;
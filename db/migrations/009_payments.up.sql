@@ -0,0 +1,27 @@
+-- Payments taken against bills. A bill can be settled with several modes;
+-- credit (udhaar) entries record what the customer still owes and do not count
+-- towards amount_paid.
+
+CREATE TABLE IF NOT EXISTS payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id UUID NOT NULL REFERENCES users(id),
+  bill_id UUID NOT NULL REFERENCES bills(id),
+  mode TEXT NOT NULL CHECK (mode IN ('cash', 'card', 'upi', 'credit')),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  tendered NUMERIC(12, 2) NOT NULL,
+  change_returned NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  reference TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS payments_bill_id_idx ON payments (bill_id);
+CREATE INDEX IF NOT EXISTS payments_shop_id_created_at_idx ON payments (shop_id, created_at);
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS amount_paid NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS payment_status TEXT NOT NULL DEFAULT 'unpaid'
+  CHECK (payment_status IN ('paid', 'partially_paid', 'unpaid'));
+-- Bills issued before payments were tracked were settled at the counter
+UPDATE bills SET amount_paid = total_amount, payment_status = 'paid' WHERE amount_paid = 0;
+
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS refund_mode TEXT NOT NULL DEFAULT 'cash'
+  CHECK (refund_mode IN ('cash', 'card', 'upi', 'credit'));
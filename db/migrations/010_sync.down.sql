@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS bills_shop_id_client_id_key;
+ALTER TABLE bills DROP COLUMN IF EXISTS client_id;
+DROP INDEX IF EXISTS products_shop_id_updated_at_idx;
+DROP TABLE IF EXISTS deleted_records;
@@ -0,0 +1,18 @@
+-- Offline sync for the mobile billing app. Deleted rows leave a tombstone so
+-- devices pulling changes since a cursor learn about the delete, and bills
+-- pushed from a device carry the device-generated id so a replay finds the
+-- bill it already created.
+
+CREATE TABLE IF NOT EXISTS deleted_records (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id UUID NOT NULL REFERENCES users(id),
+  entity TEXT NOT NULL,
+  entity_id UUID NOT NULL,
+  deleted_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS deleted_records_shop_entity_idx ON deleted_records (shop_id, entity, deleted_at, entity_id);
+
+CREATE INDEX IF NOT EXISTS products_shop_id_updated_at_idx ON products (shop_id, updated_at, id);
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS client_id UUID;
+CREATE UNIQUE INDEX IF NOT EXISTS bills_shop_id_client_id_key ON bills (shop_id, client_id);
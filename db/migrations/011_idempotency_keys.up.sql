@@ -0,0 +1,14 @@
+-- Idempotency-Key headers sent with POST /api/bills. A retry with the same key
+-- gets the stored response instead of creating a second bill; the request hash
+-- catches a key reused for a different bill.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  shop_id UUID NOT NULL REFERENCES users(id),
+  key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  bill_id UUID REFERENCES bills(id) ON DELETE CASCADE,
+  response JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (shop_id, key)
+);
+CREATE INDEX IF NOT EXISTS idempotency_keys_shop_id_created_at_idx ON idempotency_keys (shop_id, created_at);
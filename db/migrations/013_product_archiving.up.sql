@@ -0,0 +1,6 @@
+-- Products are archived instead of deleted so old bills, stock movements and
+-- sales reports keep pointing at them. Archived products leave the catalog
+-- until restored.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS products_active_idx ON products (shop_id, created_at DESC) WHERE archived_at IS NULL;
@@ -0,0 +1,12 @@
+DROP TABLE IF EXISTS product_barcodes;
+ALTER TABLE credit_note_items ALTER COLUMN quantity TYPE INTEGER USING CEIL(quantity);
+ALTER TABLE bill_items DROP COLUMN IF EXISTS unit;
+ALTER TABLE bill_items ALTER COLUMN returned_quantity TYPE INTEGER USING CEIL(returned_quantity);
+ALTER TABLE bill_items ALTER COLUMN quantity TYPE INTEGER USING CEIL(quantity);
+ALTER TABLE stock_movements ALTER COLUMN quantity TYPE INTEGER USING ROUND(quantity);
+ALTER TABLE products ALTER COLUMN reorder_level TYPE INTEGER USING ROUND(reorder_level);
+ALTER TABLE products ALTER COLUMN stock_quantity TYPE INTEGER USING ROUND(stock_quantity);
+DROP INDEX IF EXISTS products_parent_id_idx;
+ALTER TABLE products DROP COLUMN IF EXISTS unit;
+ALTER TABLE products DROP COLUMN IF EXISTS variant_name;
+ALTER TABLE products DROP COLUMN IF EXISTS parent_id;
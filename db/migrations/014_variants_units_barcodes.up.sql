@@ -0,0 +1,29 @@
+-- Product variants, units of measure and barcodes. A variant is a product of
+-- its own pointing at the product it belongs to, so it has its own SKU, price,
+-- MRP, stock and barcodes and bills, stock and reports need no changes to
+-- handle it. Quantities become decimal so loose goods can be sold by the kg,
+-- litre or metre; bill items keep the unit they were sold in.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES products(id);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS variant_name TEXT;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS unit TEXT NOT NULL DEFAULT 'pcs'
+  CHECK (unit IN ('pcs', 'kg', 'g', 'l', 'ml', 'm'));
+CREATE INDEX IF NOT EXISTS products_parent_id_idx ON products (parent_id) WHERE parent_id IS NOT NULL;
+
+ALTER TABLE products ALTER COLUMN stock_quantity TYPE NUMERIC(12, 3);
+ALTER TABLE products ALTER COLUMN reorder_level TYPE NUMERIC(12, 3);
+ALTER TABLE stock_movements ALTER COLUMN quantity TYPE NUMERIC(12, 3);
+ALTER TABLE bill_items ALTER COLUMN quantity TYPE NUMERIC(12, 3);
+ALTER TABLE bill_items ALTER COLUMN returned_quantity TYPE NUMERIC(12, 3);
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS unit TEXT NOT NULL DEFAULT 'pcs';
+ALTER TABLE credit_note_items ALTER COLUMN quantity TYPE NUMERIC(12, 3);
+
+CREATE TABLE IF NOT EXISTS product_barcodes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id UUID NOT NULL REFERENCES users(id),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT product_barcodes_shop_id_code_key UNIQUE (shop_id, code)
+);
+CREATE INDEX IF NOT EXISTS product_barcodes_product_id_idx ON product_barcodes (product_id);
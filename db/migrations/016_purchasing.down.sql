@@ -0,0 +1,7 @@
+ALTER TABLE bill_items DROP COLUMN IF EXISTS unit_cost;
+ALTER TABLE stock_movements DROP COLUMN IF EXISTS purchase_order_id;
+DROP TABLE IF EXISTS product_costs;
+DROP TABLE IF EXISTS purchase_order_items;
+DROP TABLE IF EXISTS purchase_orders;
+ALTER TABLE users DROP COLUMN IF EXISTS last_purchase_order_number;
+DROP TABLE IF EXISTS suppliers;
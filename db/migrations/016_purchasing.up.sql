@@ -0,0 +1,66 @@
+-- The buying side: suppliers, purchase orders and what received goods cost.
+-- Each receipt adds a product_costs row holding the moving average cost after
+-- it. Bill lines copy the average at the time of sale, so gross margin on past
+-- sales does not move when later stock costs more.
+
+CREATE TABLE IF NOT EXISTS suppliers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id UUID NOT NULL REFERENCES users(id),
+  name TEXT NOT NULL,
+  contact_name TEXT,
+  phone TEXT,
+  email TEXT,
+  gstin TEXT,
+  address TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS suppliers_name_trgm_idx ON suppliers USING gin (name gin_trgm_ops);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_purchase_order_number INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id UUID NOT NULL REFERENCES users(id),
+  supplier_id UUID NOT NULL REFERENCES suppliers(id),
+  po_number INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'partially_received', 'received', 'cancelled')),
+  expected_on DATE,
+  note TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (shop_id, po_number)
+);
+CREATE INDEX IF NOT EXISTS purchase_orders_shop_id_created_at_idx ON purchase_orders (shop_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS purchase_orders_supplier_id_idx ON purchase_orders (supplier_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  product_id UUID NOT NULL REFERENCES products(id),
+  quantity NUMERIC(12, 3) NOT NULL CHECK (quantity > 0),
+  received_quantity NUMERIC(12, 3) NOT NULL DEFAULT 0 CHECK (received_quantity >= 0),
+  unit_cost NUMERIC(12, 2) CHECK (unit_cost >= 0)
+);
+CREATE INDEX IF NOT EXISTS purchase_order_items_purchase_order_id_idx ON purchase_order_items (purchase_order_id);
+
+-- created_at uses clock_timestamp() so receipts of the same product in one
+-- transaction still have a latest row
+CREATE TABLE IF NOT EXISTS product_costs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id UUID NOT NULL REFERENCES users(id),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  purchase_order_id UUID REFERENCES purchase_orders(id),
+  supplier_id UUID REFERENCES suppliers(id),
+  quantity NUMERIC(12, 3) NOT NULL CHECK (quantity > 0),
+  unit_cost NUMERIC(12, 2) NOT NULL CHECK (unit_cost >= 0),
+  average_cost NUMERIC(12, 2) NOT NULL,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+CREATE INDEX IF NOT EXISTS product_costs_product_id_created_at_idx ON product_costs (product_id, created_at DESC);
+
+ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS purchase_order_id UUID REFERENCES purchase_orders(id);
+ALTER TABLE bill_items ADD COLUMN IF NOT EXISTS unit_cost NUMERIC(12, 2);
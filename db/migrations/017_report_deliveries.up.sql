@@ -0,0 +1,26 @@
+-- Daily and weekly digests sent by email or webhook. Each delivery keeps the
+-- digest it was built with, so a retry sends the same report. Scheduled runs
+-- are unique per shop and period, which stops two servers sending twice.
+
+CREATE TABLE IF NOT EXISTS report_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id UUID NOT NULL REFERENCES users(id),
+  frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  trigger TEXT NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+  channel TEXT NOT NULL CHECK (channel IN ('email', 'webhook')),
+  target TEXT NOT NULL,
+  digest JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE UNIQUE INDEX IF NOT EXISTS report_deliveries_schedule_key
+  ON report_deliveries (shop_id, frequency, period_end) WHERE trigger = 'schedule';
+CREATE INDEX IF NOT EXISTS report_deliveries_due_idx ON report_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS report_deliveries_shop_id_created_at_idx ON report_deliveries (shop_id, created_at DESC);
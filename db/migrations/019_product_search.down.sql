@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS products_shop_id_category_idx;
+DROP INDEX IF EXISTS products_shop_id_lower_sku_idx;
@@ -0,0 +1,6 @@
+-- Product search ranks exact and prefix SKU matches first, which the trigram
+-- indexes from the initial schema cannot answer on their own, and filters and
+-- counts by category.
+
+CREATE INDEX IF NOT EXISTS products_shop_id_lower_sku_idx ON products (shop_id, lower(sku) text_pattern_ops);
+CREATE INDEX IF NOT EXISTS products_shop_id_category_idx ON products (shop_id, category) WHERE parent_id IS NULL;
@@ -0,0 +1,2 @@
+ALTER TABLE bills ALTER COLUMN shop_id DROP NOT NULL;
+ALTER TABLE products ALTER COLUMN shop_id DROP NOT NULL;
@@ -0,0 +1,13 @@
+-- Products and bills got shop_id in 002_auth, nullable so rows from before
+-- accounts could be assigned to a shop by hand. Every query scopes by shop, so
+-- the column is required from here on.
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM products WHERE shop_id IS NULL) OR EXISTS (SELECT 1 FROM bills WHERE shop_id IS NULL) THEN
+    RAISE EXCEPTION 'Products or bills without a shop_id remain; assign them as described in 002_auth.up.sql';
+  END IF;
+END
+$$;
+ALTER TABLE products ALTER COLUMN shop_id SET NOT NULL;
+ALTER TABLE bills ALTER COLUMN shop_id SET NOT NULL;
@@ -0,0 +1,2 @@
+ALTER TABLE bills DROP COLUMN IF EXISTS amount_credited;
+ALTER TABLE credit_notes DROP COLUMN IF EXISTS credited_amount;
@@ -0,0 +1,22 @@
+-- Refunds set off against what the customer still owes on the bill. A credit
+-- note pays credited_amount off the balance and the rest out in refund_mode;
+-- bills keep the running sum so the balance due is
+-- total_amount - amount_credited - amount_paid.
+
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS credited_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS amount_credited NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+UPDATE credit_notes SET credited_amount = total_amount WHERE refund_mode = 'credit';
+UPDATE bills b SET
+  amount_credited = cn.credited,
+  payment_status = CASE
+    WHEN b.amount_paid >= b.total_amount - cn.credited THEN 'paid'
+    WHEN b.amount_paid > 0 THEN 'partially_paid'
+    ELSE 'unpaid'
+  END
+FROM (
+  SELECT bill_id, SUM(credited_amount) as credited
+  FROM credit_notes
+  GROUP BY bill_id
+) cn
+WHERE cn.bill_id = b.id AND cn.credited > 0;
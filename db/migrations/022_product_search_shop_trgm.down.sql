@@ -0,0 +1,5 @@
+CREATE INDEX IF NOT EXISTS products_name_trgm_idx ON products USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS products_sku_trgm_idx ON products USING gin (sku gin_trgm_ops);
+DROP INDEX IF EXISTS products_shop_id_sku_trgm_idx;
+DROP INDEX IF EXISTS products_shop_id_name_trgm_idx;
+DROP EXTENSION IF EXISTS btree_gin;
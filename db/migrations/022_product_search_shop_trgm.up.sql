@@ -0,0 +1,12 @@
+-- Product search answers each kind of match from its own index. The trigram
+-- indexes from the initial schema cover every shop, so the planner would rather
+-- filter a shop's whole catalog than use them; btree_gin lets them lead with
+-- shop_id instead. Names are only searched on products, not their variants.
+
+CREATE EXTENSION IF NOT EXISTS btree_gin;
+
+CREATE INDEX IF NOT EXISTS products_shop_id_name_trgm_idx ON products USING gin (shop_id, name gin_trgm_ops)
+  WHERE parent_id IS NULL;
+CREATE INDEX IF NOT EXISTS products_shop_id_sku_trgm_idx ON products USING gin (shop_id, sku gin_trgm_ops);
+DROP INDEX IF EXISTS products_name_trgm_idx;
+DROP INDEX IF EXISTS products_sku_trgm_idx;
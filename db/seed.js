@@ -0,0 +1,46 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { Pool } = require("pg");
+// Sample shop and catalog for local development. Safe to run more than once.
+const SEED_EMAIL = process.env.SEED_EMAIL || "demo@example.com";
+const SEED_PASSWORD = process.env.SEED_PASSWORD || "demo-password";
+const PRODUCTS = [
+  { sku: "RICE-1KG", name: "Basmati Rice 1kg", price: 105, mrp: 120, category: "Grocery", tax_rate: 5, hsn_code: "1006" },
+  { sku: "ATTA-5KG", name: "Whole Wheat Atta 5kg", price: 245, mrp: 265, category: "Grocery", tax_rate: 5, hsn_code: "1101" },
+  { sku: "MILK-500", name: "Toned Milk 500ml", price: 27, mrp: 28, category: "Dairy", tax_rate: 0, hsn_code: "0401" },
+  { sku: "SOAP-100", name: "Bathing Soap 100g", price: 38, mrp: 45, category: "Personal Care", tax_rate: 18, hsn_code: "3401" },
+  { sku: "TEA-250", name: "Assam Tea 250g", price: 140, mrp: 155, category: "Beverages", tax_rate: 5, hsn_code: "0902" }
+];
+const main = async () => {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  try {
+    const existing = await pool.query("SELECT shop_id FROM users WHERE lower(email) = $1", [SEED_EMAIL]);
+    let shopId = existing.rows[0] && existing.rows[0].shop_id;
+    if (!shopId) {
+      // Like signup, the demo account is the shop itself and its owner
+      shopId = crypto.randomUUID();
+      await pool.query(`
+        INSERT INTO users (id, shop_id, role, email, password_hash, name, shop_name, shop_address, phone, gst)
+        VALUES ($1, $1, 'owner', $2, $3, 'Demo Owner', 'Demo Kirana Store', '12 MG Road, Bengaluru', '9876543210', '29ABCDE1234F1Z5')
+      `, [shopId, SEED_EMAIL, await bcrypt.hash(SEED_PASSWORD, 10)]);
+    }
+    for (const product of PRODUCTS) {
+      await pool.query(`
+        INSERT INTO products (shop_id, sku, name, price, mrp, category, tax_rate, hsn_code, stock_quantity, reorder_level)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 50, 10)
+        ON CONFLICT (shop_id, sku) DO NOTHING
+      `, [shopId, product.sku, product.name, product.price, product.mrp, product.category, product.tax_rate, product.hsn_code]);
+    }
+    console.log(`Seeded ${SEED_EMAIL} / ${SEED_PASSWORD} with ${PRODUCTS.length} products`);
+  } finally {
+    await pool.end();
+  }
+};
+main().catch(err => {
+  console.error("Seeding failed:", err.message);
+  process.exit(1);
+});
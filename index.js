@@ -4,16 +4,37 @@ const { Pool } = require("pg");
 const swaggerUi = require("swagger-ui-express");
 const swaggerJsdoc = require("swagger-jsdoc");
 const cors = require("cors");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const fs = require("fs");
+const path = require("path");
+const { once } = require("events");
+const multer = require("multer");
+const sharp = require("sharp");
+const { S3Client, PutObjectCommand, GetObjectCommand } = require("@aws-sdk/client-s3");
+const PDFDocument = require("pdfkit");
+const nodemailer = require("nodemailer");
+const ExcelJS = require("exceljs");
+const { parse: parseCsv } = require("csv-parse/sync");
+const { stringify: stringifyCsv } = require("csv-stringify");
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { pendingMigrations } = require("./db/migrate");
 const app = express();
 const corsOptions = {
   origin: ["exp://10.158.61.81:8081", "http://localhost:8081", "https://bill-generator-backend-sooty.vercel.app"],
   methods: ["GET", "POST", "PUT", "DELETE"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+  exposedHeaders: ["Idempotent-Replayed"],
 };
 app.use(cors(corsOptions));
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+if (!process.env.JWT_SECRET) {
+  throw new Error("JWT_SECRET must be set");
+}
 // Database connection
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -31,7 +52,13 @@ const swaggerOptions = {
     servers: [
       { url: "https://bill-generator-backend-sooty.vercel.app" },
       { url: `http://localhost:${process.env.PORT || 3000}` }
-    ]
+    ],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" }
+      }
+    },
+    security: [{ bearerAuth: [] }]
   },
   apis: ["./index.js"],
 };
@@ -44,13 +71,1217 @@ app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs, {
     "https://cdn.jsdelivr.net/npm/swagger-ui-dist@5/swagger-ui-standalone-preset.js"
   ]
 }));
+// Every error response carries a message and a machine-readable code. Handlers
+// can set a specific code; otherwise it is derived from the status.
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  500: "INTERNAL_ERROR"
+};
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      body = { error: body.error, code: ERROR_CODES[res.statusCode] || "ERROR", ...body };
+    }
+    return json(body);
+  };
+  next();
+});
+// EAN-8, UPC-A, EAN-13 and GTIN-14 barcodes end in a check digit: the other
+// digits weighted 3 and 1 alternately from the right must round it up to a
+// multiple of ten
+const isValidGtin = (code) => {
+  if (!/^([0-9]{8}|[0-9]{12,14})$/.test(code)) {
+    return false;
+  }
+  const digits = code.split("").map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - sum % 10) % 10 === check;
+};
+// Request validation is generated from the swagger-jsdoc definitions above each
+// route, so the documented schema is the one that is enforced
+// multipleOfPrecision lets decimal steps like multipleOf 0.001 pass despite
+// floating point division
+const ajv = new Ajv({ allErrors: true, strict: false, multipleOfPrecision: 9 });
+addFormats(ajv);
+ajv.addFormat("binary", true);
+ajv.addFormat("gtin", isValidGtin);
+ajv.addSchema({ $id: "openapi", components: swaggerDocs.components });
+const localRefs = (schema) => JSON.parse(
+  JSON.stringify(schema).replace(/"#\/components\//g, '"openapi#/components/')
+);
+const coercingAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: true, multipleOfPrecision: 9 });
+addFormats(coercingAjv);
+coercingAjv.addFormat("gtin", isValidGtin);
+coercingAjv.addSchema({ $id: "openapi", components: swaggerDocs.components });
+// Compiles the path, query and JSON body schemas of every documented operation.
+// Literal path segments sort before {params} so /api/products/export is not
+// matched as /api/products/{id}.
+const compileOperations = () => Object.entries(swaggerDocs.paths || {})
+  .flatMap(([route, methods]) => Object.entries(methods).map(([method, operation]) => {
+    const pattern = new RegExp(`^${route.replace(/\./g, "\\.").replace(/\{[^}]+\}/g, "([^/]+)")}$`);
+    const parameters = {};
+    for (const parameter of operation.parameters || []) {
+      const group = parameters[parameter.in] || (parameters[parameter.in] = { type: "object", properties: {}, required: [] });
+      group.properties[parameter.name] = parameter.schema || {};
+      if (parameter.required) {
+        group.required.push(parameter.name);
+      }
+    }
+    const jsonBody = operation.requestBody && operation.requestBody.content &&
+      operation.requestBody.content["application/json"];
+    return {
+      method: method.toUpperCase(),
+      pattern,
+      pathNames: (route.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1)),
+      specificity: route.split("/").map(segment => (segment.startsWith("{") ? 1 : 0)),
+      path: parameters.path && coercingAjv.compile(localRefs(parameters.path)),
+      query: parameters.query && coercingAjv.compile(localRefs(parameters.query)),
+      header: parameters.header && coercingAjv.compile(localRefs(parameters.header)),
+      body: jsonBody && jsonBody.schema && ajv.compile(localRefs(jsonBody.schema)),
+      bodyRequired: Boolean(operation.requestBody && operation.requestBody.required && jsonBody),
+      permission: operation["x-permission"]
+    };
+  }))
+  .sort((a, b) => {
+    for (let i = 0; i < Math.max(a.specificity.length, b.specificity.length); i++) {
+      if ((a.specificity[i] || 0) !== (b.specificity[i] || 0)) {
+        return (a.specificity[i] || 0) - (b.specificity[i] || 0);
+      }
+    }
+    return 0;
+  });
+const operations = compileOperations();
+// Turns Ajv errors into { field, message } pairs like body.items.0.quantity
+const fieldErrors = (location, errors) => (errors || []).map(error => {
+  const segments = error.instancePath.split("/").filter(Boolean);
+  if (error.keyword === "required") {
+    segments.push(error.params.missingProperty);
+  }
+  return { field: [location, ...segments].join("."), message: error.message };
+});
+const validateRequest = (req, res, next) => {
+  const operation = operations.find(op => op.method === req.method && op.pattern.test(req.path));
+  if (!operation) {
+    return next();
+  }
+  const fields = [];
+  if (operation.path) {
+    const values = operation.pattern.exec(req.path).slice(1);
+    const params = {};
+    operation.pathNames.forEach((name, i) => {
+      // A malformed escape like %E0%A4 cannot be decoded
+      try {
+        params[name] = decodeURIComponent(values[i]);
+      } catch (err) {
+        fields.push({ field: `params.${name}`, message: "must be a valid URL-encoded value" });
+      }
+    });
+    if (fields.length === 0 && !operation.path(params)) {
+      fields.push(...fieldErrors("params", operation.path.errors));
+    }
+  }
+  if (operation.query && !operation.query({ ...req.query })) {
+    fields.push(...fieldErrors("query", operation.query.errors));
+  }
+  if (operation.header) {
+    const headers = Object.fromEntries(Object.keys(operation.header.schema.properties)
+      .filter(name => req.get(name) !== undefined)
+      .map(name => [name, req.get(name)]));
+    if (!operation.header(headers)) {
+      fields.push(...fieldErrors("headers", operation.header.errors));
+    }
+  }
+  if (operation.body && req.is("application/json")) {
+    if (!operation.body(req.body)) {
+      fields.push(...fieldErrors("body", operation.body.errors));
+    }
+  } else if (operation.bodyRequired && !req.is("multipart/form-data")) {
+    fields.push({ field: "body", message: "must be a JSON object" });
+  }
+  if (fields.length > 0) {
+    return res.status(400).json({ error: "Validation failed", code: "VALIDATION_FAILED", fields });
+  }
+  next();
+};
+app.use(validateRequest);
 // Helper function for pagination
 const getPaginationParams = (req) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
   const offset = (page - 1) * limit;
   return { page, limit, offset };
 };
+// Money is compared and summed in paise to avoid floating point drift
+const toPaise = (value) => Math.round(Number(value) * 100);
+const fromPaise = (paise) => paise / 100;
+// Units of measure. Loose goods sold by weight, volume or length take
+// fractional quantities, everything else is sold in whole units.
+const UNITS = ['pcs', 'kg', 'g', 'l', 'ml', 'm'];
+const FRACTIONAL_UNITS = ['kg', 'l', 'm'];
+// Quantities are stored to three decimals and summed in thousandths
+const toMilli = (value) => Math.round(Number(value) * 1000);
+const fromMilli = (milli) => milli / 1000;
+const isWholeQuantity = (quantity) => toMilli(quantity) % 1000 === 0;
+const quantityAllowed = (quantity, unit) => FRACTIONAL_UNITS.includes(unit) || isWholeQuantity(quantity);
+// A price in paise times a quantity, rounded half up to the paisa like
+// NUMERIC rounding in reports
+const lineAmount = (paise, quantity) => Math.floor((paise * toMilli(quantity) + 500) / 1000);
+// GST is included in catalog prices. Intra-state supplies split the tax into
+// CGST and SGST, inter-state supplies charge IGST. Unregistered shops charge none.
+const splitGst = (lineTotal, rate, tax) => {
+  const split = { taxable_value: lineTotal, cgst: 0, sgst: 0, igst: 0 };
+  if (!tax.registered || !rate) {
+    return split;
+  }
+  split.taxable_value = Math.round(lineTotal * 100 / (100 + rate));
+  const gst = lineTotal - split.taxable_value;
+  if (tax.interState) {
+    split.igst = gst;
+  } else {
+    split.cgst = Math.round(gst / 2);
+    split.sgst = gst - split.cgst;
+  }
+  return split;
+};
+// The first two digits of a GSTIN are the state code
+const gstStateCode = (gstin) => (gstin ? String(gstin).trim().slice(0, 2) : null);
+const TAX_FIELDS = ['taxable_value', 'cgst', 'sgst', 'igst'];
+// Bulk import checks each row against the same ProductInput schema that
+// validates POST /api/products
+const validateProductInput = ajv.compile({ $ref: "openapi#/components/schemas/ProductInput" });
+// Line-level promotions target a product or category, or give free units;
+// everything else discounts the whole bill
+const isLinePromotion = (promotion) =>
+  promotion.type === 'buy_x_get_y' || Boolean(promotion.product_id) || Boolean(promotion.category);
+// Helper function for working out promotion discounts in paise. Each line gets
+// its best line-level offer, then the best bill-level offer is spread over the
+// lines in proportion to what is left of each.
+const discountLines = (lines, promotions) => {
+  const gross = lines.reduce((sum, line) => sum + line.gross, 0);
+  const eligible = promotions.filter(promotion => gross >= toPaise(promotion.min_bill_amount || 0));
+  // A promotion on a product covers its variants too
+  const applies = (promotion, line) =>
+    (!promotion.product_id || [line.product_id, line.parent_id].map(String).includes(String(promotion.product_id))) &&
+    (!promotion.category || promotion.category === line.category);
+  const discounts = lines.map(line => {
+    let best = null;
+    for (const promotion of eligible.filter(isLinePromotion)) {
+      if (!applies(promotion, line)) {
+        continue;
+      }
+      const amount = promotion.type === 'buy_x_get_y'
+        ? Math.floor(line.quantity / (promotion.buy_quantity + promotion.get_quantity)) * promotion.get_quantity * line.unit
+        : Math.round(line.gross * Number(promotion.value) / 100);
+      if (amount > 0 && (!best || amount > best.amount)) {
+        best = { promotion, amount };
+      }
+    }
+    return best ? [best] : [];
+  });
+  const remaining = lines.map((line, i) => line.gross - discounts[i].reduce((sum, d) => sum + d.amount, 0));
+  const subtotal = remaining.reduce((sum, value) => sum + value, 0);
+  let bestBill = null;
+  for (const promotion of eligible.filter(promotion => !isLinePromotion(promotion))) {
+    const amount = promotion.type === 'percent'
+      ? Math.round(subtotal * Number(promotion.value) / 100)
+      : Math.min(toPaise(promotion.value), subtotal);
+    if (amount > 0 && (!bestBill || amount > bestBill.amount)) {
+      bestBill = { promotion, amount };
+    }
+  }
+  if (bestBill) {
+    let allocated = 0;
+    let running = 0;
+    remaining.forEach((value, i) => {
+      running += value;
+      const share = Math.round(bestBill.amount * running / subtotal) - allocated;
+      allocated += share;
+      if (share > 0) {
+        discounts[i].push({ promotion: bestBill.promotion, amount: share });
+      }
+    });
+  }
+  return discounts;
+};
+// Helper function for pricing bill items from the catalog and the shop's
+// active promotions. Client-sent prices and totals are only compared, never stored.
+const priceBill = (items, products, clientTotals, tax = { registered: false }, promotions = []) => {
+  const discrepancies = [];
+  const sums = { total_amount: 0, total_mrp: 0, total_discount: 0, taxable_value: 0, cgst: 0, sgst: 0, igst: 0 };
+  const priced = items.map((item, index) => {
+    const product = products.get(String(item.product_id));
+    const price = toPaise(product.price);
+    const mrp = toPaise(product.mrp);
+    for (const [field, expected] of [['price', price], ['mrp', mrp]]) {
+      if (item[field] !== undefined && toPaise(item[field]) !== expected) {
+        discrepancies.push({
+          index,
+          product_id: item.product_id,
+          field,
+          submitted: item[field],
+          expected: fromPaise(expected)
+        });
+      }
+    }
+    return {
+      product,
+      product_id: product.id,
+      parent_id: product.parent_id,
+      category: product.category,
+      quantity: item.quantity,
+      unit: price,
+      mrp,
+      gross: lineAmount(price, item.quantity)
+    };
+  });
+  const discounts = discountLines(priced, promotions);
+  const applied = new Map();
+  const lines = priced.map((line, i) => {
+    const { product } = line;
+    const discount = discounts[i].reduce((sum, d) => sum + d.amount, 0);
+    const taxRate = tax.registered ? Number(product.tax_rate) || 0 : 0;
+    const gst = splitGst(line.gross - discount, taxRate, tax);
+    sums.total_amount += line.gross - discount;
+    sums.total_mrp += lineAmount(line.mrp, line.quantity);
+    sums.total_discount += discount;
+    for (const { promotion, amount } of discounts[i]) {
+      const total = applied.get(promotion.id) || { promotion, amount: 0 };
+      total.amount += amount;
+      applied.set(promotion.id, total);
+    }
+    const result = {
+      product_id: product.id,
+      name: product.name,
+      price: fromPaise(line.unit),
+      mrp: fromPaise(line.mrp),
+      quantity: line.quantity,
+      unit: product.unit,
+      discount: fromPaise(discount),
+      promotions: discounts[i].map(({ promotion, amount }) => ({
+        promotion_id: promotion.id,
+        name: promotion.name,
+        amount: fromPaise(amount)
+      })),
+      hsn_code: product.hsn_code || null,
+      tax_rate: taxRate
+    };
+    for (const field of TAX_FIELDS) {
+      sums[field] += gst[field];
+      result[field] = fromPaise(gst[field]);
+    }
+    return result;
+  });
+  sums.total_savings = sums.total_mrp - sums.total_amount;
+  const totals = {};
+  for (const field of ['total_amount', 'total_mrp', 'total_savings']) {
+    totals[field] = fromPaise(sums[field]);
+    if (clientTotals[field] !== undefined && toPaise(clientTotals[field]) !== sums[field]) {
+      discrepancies.push({ field, submitted: clientTotals[field], expected: totals[field] });
+    }
+  }
+  totals.total_discount = fromPaise(sums.total_discount);
+  for (const field of TAX_FIELDS) {
+    totals[field] = fromPaise(sums[field]);
+  }
+  totals.total_tax = fromPaise(sums.cgst + sums.sgst + sums.igst);
+  const promotionsApplied = [...applied.values()].map(({ promotion, amount }) => ({
+    promotion_id: promotion.id,
+    name: promotion.name,
+    coupon_code: promotion.coupon_code,
+    amount: fromPaise(amount)
+  }));
+  return { lines, totals, discrepancies, promotions: promotionsApplied };
+};
+// Helper function for summing a bill's line items per GST rate
+const taxBreakdown = (items) => {
+  const groups = new Map();
+  for (const item of items || []) {
+    if (!item || item.id === null) {
+      continue;
+    }
+    const rate = Number(item.tax_rate) || 0;
+    const group = groups.get(rate) || { taxable_value: 0, cgst: 0, sgst: 0, igst: 0 };
+    for (const field of TAX_FIELDS) {
+      group[field] += toPaise(item[field] || 0);
+    }
+    groups.set(rate, group);
+  }
+  return [...groups.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([rate, group]) => ({
+      tax_rate: rate,
+      taxable_value: fromPaise(group.taxable_value),
+      cgst: fromPaise(group.cgst),
+      sgst: fromPaise(group.sgst),
+      igst: fromPaise(group.igst),
+      total_tax: fromPaise(group.cgst + group.sgst + group.igst)
+    }));
+};
+// Line items as returned with every bill
+const BILL_ITEMS_JSON = `
+  json_agg(
+    json_build_object(
+      'id', bi.id,
+      'product_id', bi.product_id,
+      'name', bi.name,
+      'price', bi.price,
+      'mrp', bi.mrp,
+      'quantity', bi.quantity,
+      'returned_quantity', bi.returned_quantity,
+      'unit', bi.unit,
+      'discount', bi.discount,
+      'promotions', (
+        SELECT json_agg(json_build_object('promotion_id', d.promotion_id, 'name', d.promotion_name, 'amount', d.amount))
+        FROM bill_item_discounts d
+        WHERE d.bill_item_id = bi.id
+      ),
+      'hsn_code', bi.hsn_code,
+      'tax_rate', bi.tax_rate,
+      'taxable_value', bi.taxable_value,
+      'cgst', bi.cgst,
+      'sgst', bi.sgst,
+      'igst', bi.igst
+    )
+  )`;
+// Credit note totals per bill, joined as cn to net returns out of bill totals
+const BILL_CREDIT_TOTALS = `
+  SELECT bill_id, SUM(total_amount) as total_amount, SUM(total_mrp) as total_mrp,
+    SUM(total_savings) as total_savings
+  FROM credit_notes
+  GROUP BY bill_id`;
+// Who made a bill, for the bill aliased b joined to the users table as staff.
+// Bills from before staff accounts only have the free-text created_by_name.
+const CASHIER_NAME_SQL = "COALESCE(staff.name, staff.email, b.created_by_name)";
+// Helper function for loading one of a shop's bills with its line items and buyer
+const fetchBill = async (db, billId, shopId) => {
+  const result = await db.query(`
+    SELECT
+      b.*,
+      ${CASHIER_NAME_SQL} as cashier,
+      row_to_json(c) as customer,
+      (
+        SELECT json_agg(p ORDER BY p.created_at)
+        FROM payments p
+        WHERE p.bill_id = b.id
+      ) as payments,
+      ${BILL_ITEMS_JSON} as items
+    FROM bills b
+    LEFT JOIN bill_items bi ON b.id = bi.bill_id
+    LEFT JOIN customers c ON c.id = b.customer_id
+    LEFT JOIN users staff ON staff.id = b.created_by
+    WHERE b.id = $1 AND b.shop_id = $2
+    GROUP BY b.id, c.id, staff.id
+  `, [billId, shopId]);
+  return result.rows[0] || null;
+};
+// Helper function for storing phone numbers in one form so lookups match
+const normalizePhone = (phone) => (phone ? String(phone).replace(/[\s()-]/g, "") : null);
+// Helper function for saving inline customer details from the billing counter.
+// A known phone number updates that customer instead of adding a duplicate.
+const upsertCustomer = async (db, shopId, { name, phone, gstin, address }) => {
+  const result = await db.query(`
+    INSERT INTO customers (shop_id, name, phone, gstin, address)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (shop_id, phone) DO UPDATE SET
+      name = EXCLUDED.name,
+      gstin = COALESCE(EXCLUDED.gstin, customers.gstin),
+      address = COALESCE(EXCLUDED.address, customers.address),
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [shopId, name, normalizePhone(phone), gstin || null, address || null]);
+  return result.rows[0];
+};
+const STOCK_MOVEMENT_TYPES = ['purchase', 'sale', 'adjustment', 'return'];
+// Helper function for changing a product's stock and writing the ledger entry.
+// quantity is signed: positive adds stock, negative removes it.
+const recordStockMovement = async (db, movement) => {
+  const productResult = await db.query(`
+    UPDATE products SET stock_quantity = stock_quantity + $3, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND shop_id = $2
+    RETURNING id, stock_quantity
+  `, [movement.productId, movement.shopId, movement.quantity]);
+  if (productResult.rows.length === 0) {
+    return null;
+  }
+  const movementResult = await db.query(`
+    INSERT INTO stock_movements (
+      shop_id, product_id, movement_type, quantity, bill_id, purchase_order_id, note, created_by, created_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+    RETURNING *
+  `, [
+    movement.shopId, movement.productId, movement.type, movement.quantity, movement.billId || null,
+    movement.purchaseOrderId || null, movement.note || null, movement.createdBy || null
+  ]);
+  return { ...movementResult.rows[0], stock_quantity: productResult.rows[0].stock_quantity };
+};
+// Moving average cost of the product with the given table alias after its
+// latest receipt, or null before the first one
+const currentCostSql = (alias) => `(
+  SELECT pc.average_cost FROM product_costs pc WHERE pc.product_id = ${alias}.id ORDER BY pc.created_at DESC LIMIT 1
+)`;
+// Helper function for recording the cost of received goods. Call it before the
+// stock movement: the new average weighs the stock on hand at the old average
+// against the received quantity at its cost. Stock at or below zero has no
+// cost left to carry, so the average restarts at the new cost.
+const recordProductCost = async (db, entry) => {
+  const result = await db.query(`
+    INSERT INTO product_costs (
+      shop_id, product_id, purchase_order_id, supplier_id, quantity, unit_cost, average_cost, created_by
+    )
+    SELECT $1, p.id, $3, $4, $5::numeric, $6::numeric,
+      CASE
+        WHEN previous.cost IS NULL OR p.stock_quantity <= 0 THEN $6::numeric
+        ELSE ROUND((previous.cost * p.stock_quantity + $6::numeric * $5::numeric) / (p.stock_quantity + $5::numeric), 2)
+      END,
+      $7
+    FROM products p
+    LEFT JOIN LATERAL (SELECT ${currentCostSql("p")} AS cost) previous ON true
+    WHERE p.id = $2 AND p.shop_id = $1
+    RETURNING *
+  `, [
+    entry.shopId, entry.productId, entry.purchaseOrderId || null, entry.supplierId || null,
+    entry.quantity, entry.unitCost, entry.createdBy || null
+  ]);
+  return result.rows[0] || null;
+};
+// Helper function for issuing a credit note against a locked bill. Each line is
+// { item, quantity } for a bill_items row; tax is apportioned cumulatively so a
+// line returned in several steps adds up to exactly what was billed.
+// Without a refund mode the refund first clears what is still owed on the bill
+// and the rest is paid out in cash. Returns { error } when the refund would pay
+// out more than was paid, or credit more than is owed.
+const createCreditNote = async (db, bill, lines, note) => {
+  const sums = { total_amount: 0, total_mrp: 0, taxable_value: 0, cgst: 0, sgst: 0, igst: 0 };
+  const creditLines = lines.map(({ item, quantity }) => {
+    const share = (value, milli) => Math.round(toPaise(value) * milli / toMilli(item.quantity));
+    const before = toMilli(item.returned_quantity);
+    const after = before + toMilli(quantity);
+    const line = {
+      bill_item_id: item.id,
+      product_id: item.product_id,
+      name: item.name,
+      price: Number(item.price),
+      mrp: Number(item.mrp),
+      quantity
+    };
+    for (const field of TAX_FIELDS) {
+      line[field] = share(item[field], after) - share(item[field], before);
+      sums[field] += line[field];
+      line[field] = fromPaise(line[field]);
+    }
+    // Refund what was actually paid for the units, after promotion discounts
+    const paid = fromPaise(lineAmount(toPaise(item.price), item.quantity) - toPaise(item.discount || 0));
+    sums.total_amount += share(paid, after) - share(paid, before);
+    sums.total_mrp += lineAmount(toPaise(item.mrp), quantity);
+    return line;
+  });
+  const owed = Math.max(balanceDue(bill), 0);
+  const credited = note.refundMode === 'credit' ? sums.total_amount
+    : note.refundMode ? 0 : Math.min(sums.total_amount, owed);
+  if (credited > owed) {
+    return { error: "Credit refunds cannot exceed the balance due", balance_due: fromPaise(owed) };
+  }
+  const paidOutResult = await db.query(
+    "SELECT COALESCE(SUM(total_amount - credited_amount), 0) as paid_out FROM credit_notes WHERE bill_id = $1",
+    [bill.id]
+  );
+  const refundable = toPaise(bill.amount_paid) - toPaise(paidOutResult.rows[0].paid_out);
+  if (sums.total_amount - credited > refundable) {
+    return {
+      error: `A ${note.refundMode || 'cash'} refund cannot exceed what was paid on the bill`,
+      refundable: fromPaise(Math.max(refundable, 0))
+    };
+  }
+  const refundMode = note.refundMode || (credited === sums.total_amount ? 'credit' : 'cash');
+  const numberResult = await db.query(`
+    UPDATE users SET last_credit_note_number = last_credit_note_number + 1
+    WHERE id = $1
+    RETURNING last_credit_note_number
+  `, [bill.shop_id]);
+  const creditNoteResult = await db.query(`
+    INSERT INTO credit_notes (
+      shop_id, bill_id, credit_note_number, kind, reason, total_amount, total_mrp, total_savings,
+      taxable_value, cgst_total, sgst_total, igst_total, total_tax, refund_mode, credited_amount, created_by,
+      created_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, CURRENT_TIMESTAMP)
+    RETURNING *
+  `, [
+    bill.shop_id, bill.id, numberResult.rows[0].last_credit_note_number, note.kind, note.reason,
+    fromPaise(sums.total_amount), fromPaise(sums.total_mrp), fromPaise(sums.total_mrp - sums.total_amount),
+    fromPaise(sums.taxable_value), fromPaise(sums.cgst), fromPaise(sums.sgst), fromPaise(sums.igst),
+    fromPaise(sums.cgst + sums.sgst + sums.igst), refundMode, fromPaise(credited), note.createdBy || null
+  ]);
+  const creditNote = creditNoteResult.rows[0];
+  for (const line of creditLines) {
+    await db.query(`
+      INSERT INTO credit_note_items (
+        credit_note_id, bill_item_id, product_id, name, price, mrp, quantity, taxable_value, cgst, sgst, igst
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+      creditNote.id, line.bill_item_id, line.product_id, line.name, line.price, line.mrp, line.quantity,
+      line.taxable_value, line.cgst, line.sgst, line.igst
+    ]);
+    await db.query(
+      "UPDATE bill_items SET returned_quantity = returned_quantity + $2 WHERE id = $1",
+      [line.bill_item_id, line.quantity]
+    );
+    if (note.restock && line.product_id) {
+      await recordStockMovement(db, {
+        shopId: bill.shop_id,
+        productId: line.product_id,
+        type: 'return',
+        quantity: line.quantity,
+        billId: bill.id,
+        note: `Credit note ${creditNote.credit_note_number}`,
+        createdBy: note.createdBy
+      });
+    }
+  }
+  const amountCredited = toPaise(bill.amount_credited) + credited;
+  const statusResult = await db.query(`
+    UPDATE bills SET
+      status = CASE
+        WHEN $2 = 'void' THEN 'voided'
+        WHEN NOT EXISTS (SELECT 1 FROM bill_items WHERE bill_id = $1 AND returned_quantity < quantity) THEN 'returned'
+        ELSE 'partially_returned'
+      END,
+      amount_credited = $3,
+      payment_status = $4
+    WHERE id = $1
+    RETURNING status
+  `, [
+    bill.id, note.kind, fromPaise(amountCredited),
+    paymentStatus(fromPaise(toPaise(bill.total_amount) - amountCredited), bill.amount_paid)
+  ]);
+  return { ...creditNote, bill_status: statusResult.rows[0].status, items: creditLines };
+};
+// Voids and returns are audited against the bill, naming the credit note issued
+const creditNoteAudit = (bill, creditNote) => ({
+  entity: 'bill',
+  entityId: bill.id,
+  action: creditNote.kind,
+  before: { status: bill.status },
+  after: { status: creditNote.bill_status, credit_note_id: creditNote.id, refunded: creditNote.total_amount }
+});
+const PAYMENT_MODES = ['cash', 'card', 'upi', 'credit'];
+// Helper function for applying tendered payments to the amount due. Only cash
+// can be overpaid; the excess is handed back as change from the last cash entries.
+const settlePayments = (entries, due) => {
+  const payments = entries.map(entry => ({
+    mode: entry.mode,
+    reference: entry.reference || null,
+    tendered: toPaise(entry.amount),
+    change: 0
+  }));
+  let excess = payments.reduce((sum, payment) => sum + payment.tendered, 0) - toPaise(due);
+  for (const payment of [...payments].reverse()) {
+    if (excess > 0 && payment.mode === 'cash') {
+      payment.change = Math.min(excess, payment.tendered);
+      excess -= payment.change;
+    }
+  }
+  if (excess > 0) {
+    return { error: "Payments exceed the amount due and only cash can be overpaid" };
+  }
+  const applied = payments
+    .filter(payment => payment.tendered > payment.change)
+    .map(payment => ({
+      mode: payment.mode,
+      reference: payment.reference,
+      amount: fromPaise(payment.tendered - payment.change),
+      tendered: fromPaise(payment.tendered),
+      change_returned: fromPaise(payment.change)
+    }));
+  // Credit (udhaar) entries record what is owed, so they are not money received
+  const paid = applied
+    .filter(payment => payment.mode !== 'credit')
+    .reduce((sum, payment) => sum + toPaise(payment.amount), 0);
+  return { payments: applied, paid: fromPaise(paid) };
+};
+// What the customer still owes on a bill, in paise. Credit notes refunded on
+// credit come off the total.
+const balanceDue = (bill) => toPaise(bill.total_amount) - toPaise(bill.amount_credited) - toPaise(bill.amount_paid);
+const paymentStatus = (total, paid) => {
+  if (toPaise(paid) >= toPaise(total)) {
+    return 'paid';
+  }
+  return toPaise(paid) > 0 ? 'partially_paid' : 'unpaid';
+};
+// Helper function for storing settled payments against a bill
+const insertPayments = async (db, bill, payments, createdBy, receivedAt) => {
+  for (const payment of payments) {
+    await db.query(`
+      INSERT INTO payments (shop_id, bill_id, mode, amount, tendered, change_returned, reference, created_by, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9::timestamptz, CURRENT_TIMESTAMP))
+    `, [
+      bill.shop_id, bill.id, payment.mode, payment.amount, payment.tendered,
+      payment.change_returned, payment.reference, createdBy || null, receivedAt || null
+    ]);
+  }
+};
+// Bookkeeping columns and secrets are left out of audit entries
+const AUDIT_IGNORED_FIELDS = ['updated_at', 'password_hash', 'last_invoice_number', 'last_purchase_order_number', 'secret'];
+const auditFields = (row) => Object.fromEntries(Object.entries(row)
+  .filter(([field]) => !AUDIT_IGNORED_FIELDS.includes(field))
+  .map(([field, value]) => [field, value instanceof Date ? value.toISOString() : value]));
+// Helper function for appending to the audit log inside the caller's
+// transaction. Creates have no before and deletes no after; updates keep only
+// the fields that changed and are skipped when nothing did.
+const recordAudit = async (db, req, entry) => {
+  const before = entry.before ? auditFields(entry.before) : null;
+  const after = entry.after ? auditFields(entry.after) : null;
+  if (before && after) {
+    for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (JSON.stringify(before[field]) === JSON.stringify(after[field])) {
+        delete before[field];
+        delete after[field];
+      }
+    }
+    if (Object.keys(after).length === 0 && Object.keys(before).length === 0) {
+      return;
+    }
+  }
+  await db.query(`
+    INSERT INTO audit_log (shop_id, actor_id, entity, entity_id, action, before, after)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [
+    req.user.shop_id, req.user.id, entry.entity, entry.entityId, entry.action,
+    before && JSON.stringify(before), after && JSON.stringify(after)
+  ]);
+};
+// Helper function for queueing an event in the caller's transaction. Nothing is
+// stored when no active endpoint of the shop subscribes to the event.
+const queueWebhookEvent = async (db, shopId, type, data) => {
+  await db.query(`
+    WITH event AS (
+      INSERT INTO webhook_events (shop_id, type, data)
+      SELECT $1, $2, $3
+      WHERE EXISTS (SELECT 1 FROM webhook_endpoints WHERE shop_id = $1 AND active AND $2 = ANY(events))
+      RETURNING id
+    )
+    INSERT INTO webhook_deliveries (shop_id, event_id, endpoint_id)
+    SELECT $1, event.id, endpoint.id
+    FROM event, webhook_endpoints endpoint
+    WHERE endpoint.shop_id = $1 AND endpoint.active AND $2 = ANY(endpoint.events)
+  `, [shopId, type, JSON.stringify(data)]);
+};
+// Access tokens are short-lived JWTs; refresh tokens are opaque and stored hashed
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+// Never send the password hash back to clients
+const publicUser = ({ password_hash, ...user }) => user;
+// Tokens carry the member's shop and role, so role changes apply from the next refresh
+const issueTokens = async (db, user) => {
+  const accessToken = jwt.sign({ shop_id: user.shop_id, role: user.role }, process.env.JWT_SECRET, {
+    subject: String(user.id),
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  await db.query(`
+    INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3))
+  `, [user.id, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]);
+  return { access_token: accessToken, refresh_token: refreshToken, token_type: "Bearer" };
+};
+// Middleware that verifies the bearer token and populates req.user
+const authenticate = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    req.user = { id: payload.sub, shop_id: payload.shop_id, role: payload.role || 'owner' };
+    next();
+  } catch (err) {
+    res.status(401).json({ error: "Invalid or expired token" });
+  }
+};
+// What each staff role may do. Operations name the permission they need with
+// x-permission in their swagger block; the rest are open to every member.
+const ROLE_PERMISSIONS = {
+  owner: [
+    'products:write', 'stock:write', 'bills:refund', 'promotions:write', 'purchasing:manage', 'reports:read',
+    'audit:read', 'staff:manage', 'webhooks:manage'
+  ],
+  manager: ['products:write', 'stock:write', 'bills:refund', 'promotions:write', 'purchasing:manage', 'reports:read'],
+  cashier: []
+};
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS);
+// Middleware that rejects operations the signed-in member's role does not allow
+const authorizeRequest = (req, res, next) => {
+  const path = req.baseUrl + req.path;
+  const operation = operations.find(op => op.method === req.method && op.pattern.test(path));
+  if (operation && operation.permission && !(ROLE_PERMISSIONS[req.user.role] || []).includes(operation.permission)) {
+    return res.status(403).json({ error: "Your role does not allow this action", permission: operation.permission });
+  }
+  next();
+};
+/**
+ * @swagger
+ * /api/auth/signup:
+ *   post:
+ *     summary: Register a new shop account
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               name:
+ *                 type: string
+ *               shop_name:
+ *                 type: string
+ *               shop_address:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               gst:
+ *                 $ref: '#/components/schemas/Gstin'
+ *     responses:
+ *       201:
+ *         description: Account created, returns the user and tokens
+ *       400:
+ *         description: Missing fields or email already registered
+ */
+app.post("/api/auth/signup", async (req, res) => {
+  try {
+    const { email, password, name, shop_name, shop_address, phone, gst } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
+    if (String(password).length < 8) {
+      return res.status(400).json({ error: "Password must be at least 8 characters" });
+    }
+    const passwordHash = await bcrypt.hash(String(password), 10);
+    // The signup account is the shop itself and its first owner
+    const id = crypto.randomUUID();
+    const result = await pool.query(`
+      INSERT INTO users (id, shop_id, role, email, password_hash, name, shop_name, shop_address, phone, gst, created_at, updated_at)
+      VALUES ($1, $1, 'owner', $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING *
+    `, [id, String(email).trim().toLowerCase(), passwordHash, name, shop_name, shop_address, phone, gst]);
+    const user = result.rows[0];
+    const tokens = await issueTokens(pool, user);
+    res.status(201).json({ user: publicUser(user), ...tokens });
+  } catch (err) {
+    console.error("Error signing up:", err);
+    if (err.code === '23505') {
+      res.status(400).json({ error: "Email already registered", code: "EMAIL_EXISTS" });
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+});
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Returns the user and tokens
+ *       401:
+ *         description: Invalid credentials
+ *       403:
+ *         description: The account has been deactivated by a shop owner
+ */
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
+    const result = await pool.query(
+      "SELECT * FROM users WHERE lower(email) = $1",
+      [String(email).trim().toLowerCase()]
+    );
+    const user = result.rows[0];
+    if (!user || !user.password_hash || !(await bcrypt.compare(String(password), user.password_hash))) {
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    if (user.deactivated_at) {
+      return res.status(403).json({ error: "This account has been deactivated", code: "ACCOUNT_DEACTIVATED" });
+    }
+    const tokens = await issueTokens(pool, user);
+    res.json({ user: publicUser(user), ...tokens });
+  } catch (err) {
+    console.error("Error logging in:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single use. Presenting a token that was already used revokes every session of that user.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+app.post("/api/auth/refresh", async (req, res) => {
+  const { refresh_token } = req.body;
+  if (!refresh_token) {
+    return res.status(400).json({ error: "refresh_token is required" });
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const tokenResult = await client.query(
+      "SELECT * FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE",
+      [hashToken(String(refresh_token))]
+    );
+    const stored = tokenResult.rows[0];
+    if (!stored || new Date(stored.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+    if (stored.revoked_at) {
+      // A rotated token came back, assume it leaked and end every session
+      await client.query(
+        "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL",
+        [stored.user_id]
+      );
+      await client.query('COMMIT');
+      return res.status(401).json({ error: "Refresh token reuse detected, please log in again" });
+    }
+    await client.query(
+      "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [stored.id]
+    );
+    const userResult = await client.query(
+      "SELECT * FROM users WHERE id = $1 AND deactivated_at IS NULL",
+      [stored.user_id]
+    );
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+    const tokens = await issueTokens(client, userResult.rows[0]);
+    await client.query('COMMIT');
+    res.json(tokens);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error refreshing token:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *                 minLength: 1
+ *     responses:
+ *       204:
+ *         description: Refresh token revoked
+ */
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token) {
+      return res.status(400).json({ error: "refresh_token is required" });
+    }
+    await pool.query(
+      "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = $1 AND revoked_at IS NULL",
+      [hashToken(String(refresh_token))]
+    );
+    res.status(204).end();
+  } catch (err) {
+    console.error("Error logging out:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// Image storage backends share put(key, buffer, contentType) and get(key),
+// where get resolves to { stream, contentType } or null when the key is missing
+const createLocalStorage = (dir) => ({
+  async put(key, buffer) {
+    const file = path.join(dir, key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+  },
+  async get(key) {
+    const file = path.join(dir, key);
+    try {
+      await fs.promises.access(file);
+    } catch (err) {
+      return null;
+    }
+    return { stream: fs.createReadStream(file), contentType: "image/webp" };
+  }
+});
+const createS3Storage = () => {
+  const bucket = process.env.S3_BUCKET;
+  const s3 = new S3Client({
+    region: process.env.S3_REGION || "auto",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+  return {
+    async put(key, buffer, contentType) {
+      await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+    async get(key) {
+      try {
+        const object = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { stream: object.Body, contentType: object.ContentType || "image/webp" };
+      } catch (err) {
+        if (err.name === 'NoSuchKey') {
+          return null;
+        }
+        throw err;
+      }
+    }
+  };
+};
+const imageStorage = process.env.STORAGE_DRIVER === "s3"
+  ? createS3Storage()
+  : createLocalStorage(path.resolve(process.env.UPLOAD_DIR || "uploads"));
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const IMAGE_VARIANTS = {
+  full: { size: 1600, quality: 85 },
+  thumb: { size: 320, quality: 75 }
+};
+// Multer keeps the upload in memory; sharp re-encodes it before anything is stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      const err = new Error("Only JPEG, PNG and WebP images are allowed");
+      err.code = 'UNSUPPORTED_MEDIA_TYPE';
+      return cb(err);
+    }
+    cb(null, true);
+  }
+}).single("file");
+const handleImageUpload = (req, res, next) => {
+  imageUpload(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: "Image is too large" });
+    }
+    if (err.code === 'UNSUPPORTED_MEDIA_TYPE') {
+      return res.status(415).json({ error: err.message });
+    }
+    res.status(400).json({ error: err.message });
+  });
+};
+/**
+ * @swagger
+ * /api/images/{id}/{variant}:
+ *   get:
+ *     summary: Serve an uploaded image
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: variant
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [full.webp, thumb.webp]
+ *     responses:
+ *       200:
+ *         description: The image
+ *         content:
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Image not found
+ */
+app.get("/api/images/:id/:variant", async (req, res) => {
+  try {
+    const { id, variant } = req.params;
+    const match = /^(full|thumb)\.webp$/.exec(variant);
+    if (!/^[0-9a-f-]{36}$/.test(id) || !match) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+    const image = await imageStorage.get(`images/${id}/${match[1]}.webp`);
+    if (!image) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+    res.set("Content-Type", image.contentType);
+    res.set("Cache-Control", "public, max-age=31536000, immutable");
+    image.stream.pipe(res);
+  } catch (err) {
+    console.error("Error serving image:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// Everything under /api below this point requires a signed-in shop member
+app.use("/api", authenticate, authorizeRequest);
+// Barcodes of the product with the given table alias, as an array of codes
+const productBarcodesJson = (alias) => `COALESCE((
+  SELECT json_agg(pb.code ORDER BY pb.created_at, pb.code) FROM product_barcodes pb WHERE pb.product_id = ${alias}.id
+), '[]')`;
+// Variants of the product aliased p, each with its barcodes
+const productVariantsJson = (includeArchived) => `COALESCE((
+  SELECT json_agg(
+    to_jsonb(v) || jsonb_build_object('barcodes', ${productBarcodesJson("v")})
+    ORDER BY v.variant_name, v.id
+  )
+  FROM products v
+  WHERE v.parent_id = p.id${includeArchived ? '' : ' AND v.archived_at IS NULL'}
+), '[]')`;
+// A product sells through its variants once it has any
+const HAS_VARIANTS_SQL = "EXISTS (SELECT 1 FROM products v WHERE v.parent_id = products.id AND v.archived_at IS NULL)";
+// Sellable products below their reorder level; stock of a product with variants is kept per variant
+const LOW_STOCK_SQL = `products.archived_at IS NULL AND products.stock_quantity < products.reorder_level AND NOT ${HAS_VARIANTS_SQL}`;
+// Variants take these from their parent, which passes changes on to them
+const INHERITED_PRODUCT_FIELDS = ['name', 'category', 'tax_rate', 'hsn_code', 'unit'];
+const productBarcodes = async (db, productId) => {
+  const result = await db.query(
+    "SELECT code FROM product_barcodes WHERE product_id = $1 ORDER BY created_at, code",
+    [productId]
+  );
+  return result.rows.map(row => row.code);
+};
+// Helper function for replacing a product's barcodes. A code already on another
+// of the shop's products fails the insert with a unique violation.
+const setProductBarcodes = async (db, shopId, productId, codes) => {
+  await db.query("DELETE FROM product_barcodes WHERE product_id = $1", [productId]);
+  await db.query(`
+    INSERT INTO product_barcodes (shop_id, product_id, code)
+    SELECT $1, $2, code FROM unnest($3::text[]) AS code
+  `, [shopId, productId, codes]);
+  return productBarcodes(db, productId);
+};
+// Helper function for archiving or restoring a product's variants with it,
+// called before the product itself changes. A restore brings back only the
+// variants archived together with the product.
+const cascadeArchive = async (db, req, productId, archive) => {
+  const result = await db.query(`
+    UPDATE products v SET archived_at = ${archive ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+    FROM products old, products parent
+    WHERE old.id = v.id AND parent.id = $1 AND v.parent_id = parent.id
+      AND ${archive ? 'v.archived_at IS NULL' : 'v.archived_at = parent.archived_at'}
+    RETURNING v.*, old.archived_at AS archived_before
+  `, [productId]);
+  for (const { archived_before, ...variant } of result.rows) {
+    await recordAudit(db, req, {
+      entity: 'product',
+      entityId: variant.id,
+      action: archive ? 'archive' : 'restore',
+      before: { archived_at: archived_before },
+      after: { archived_at: variant.archived_at }
+    });
+    await queueWebhookEvent(db, req.user.shop_id, archive ? 'product.deleted' : 'product.updated', variant);
+  }
+};
+// Helper function for passing a product's inherited fields on to its variants
+// after they changed on the product
+const cascadeInheritedFields = async (db, req, productId) => {
+  const variantsResult = await db.query("SELECT * FROM products WHERE parent_id = $1 FOR UPDATE", [productId]);
+  const variantsBefore = new Map(variantsResult.rows.map(variant => [String(variant.id), variant]));
+  const cascaded = await db.query(`
+    UPDATE products v SET
+      name = p.name || ' ' || v.variant_name,
+      category = p.category,
+      tax_rate = p.tax_rate,
+      hsn_code = p.hsn_code,
+      unit = p.unit,
+      updated_at = CURRENT_TIMESTAMP
+    FROM products p
+    WHERE p.id = $1 AND v.parent_id = p.id
+    RETURNING v.*
+  `, [productId]);
+  for (const variant of cascaded.rows) {
+    await recordAudit(db, req, {
+      entity: 'product',
+      entityId: variant.id,
+      action: 'update',
+      before: variantsBefore.get(String(variant.id)),
+      after: variant
+    });
+    await queueWebhookEvent(db, req.user.shop_id, 'product.updated', variant);
+  }
+};
+// Unique violations on product writes come from the SKU or a barcode
+const productConflict = (err) => (err.constraint === 'product_barcodes_shop_id_code_key'
+  ? { error: "Barcode already belongs to another product", code: "BARCODE_EXISTS" }
+  : { error: "SKU already exists", code: "SKU_EXISTS" });
 /**
  * @swagger
  * components:
@@ -72,442 +1303,6107 @@ const getPaginationParams = (req) => {
  *           type: string
  *         category:
  *           type: string
+ *         tax_rate:
+ *           type: number
+ *           description: GST rate in percent, included in price
+ *         hsn_code:
+ *           type: string
+ *         unit:
+ *           type: string
+ *           enum: [pcs, kg, g, l, ml, m]
+ *         stock_quantity:
+ *           type: number
+ *           description: Changed only through stock movements
+ *         reorder_level:
+ *           type: number
+ *         parent_id:
+ *           type: string
+ *           nullable: true
+ *           description: Set on variants, the product they are a variant of
+ *         variant_name:
+ *           type: string
+ *           nullable: true
+ *           description: What sets a variant apart, e.g. 500ml or XL. Its name is the parent's name followed by this.
+ *         barcodes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         variants:
+ *           type: array
+ *           description: Variants of the product, in lists and single product responses
+ *           items:
+ *             $ref: '#/components/schemas/Product'
+ *     Barcode:
+ *       type: string
+ *       format: gtin
+ *       description: EAN-8, UPC-A, EAN-13 or GTIN-14 with a valid check digit
+ *       example: '8901030865278'
+ *     Barcodes:
+ *       type: array
+ *       maxItems: 20
+ *       uniqueItems: true
+ *       description: Replaces the product's barcodes. Each barcode belongs to one product of the shop.
+ *       items:
+ *         $ref: '#/components/schemas/Barcode'
+ *     ProductFields:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *         mrp:
+ *           type: number
+ *           minimum: 0
+ *         image_url:
+ *           type: string
+ *           nullable: true
+ *         sku:
+ *           type: string
+ *           minLength: 1
+ *           nullable: true
+ *         category:
+ *           type: string
+ *           nullable: true
+ *         tax_rate:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: GST rate in percent, included in price
+ *         hsn_code:
+ *           type: string
+ *           pattern: '^[0-9]{4,8}$'
+ *           nullable: true
+ *         unit:
+ *           type: string
+ *           enum: [pcs, kg, g, l, ml, m]
+ *           default: pcs
+ *           description: Unit the product is sold and stocked in
+ *         reorder_level:
+ *           type: number
+ *           multipleOf: 0.001
+ *           minimum: 0
+ *         barcodes:
+ *           $ref: '#/components/schemas/Barcodes'
+ *     ProductInput:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ProductFields'
+ *         - type: object
+ *           required:
+ *             - name
+ *             - price
+ *             - mrp
+ *     Gstin:
+ *       type: string
+ *       pattern: '^[0-9]{2}[0-9A-Z]{13}$'
+ *       nullable: true
+ *     PaymentInput:
+ *       type: object
+ *       required:
+ *         - mode
+ *         - amount
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [cash, card, upi, credit]
+ *         amount:
+ *           type: number
+ *           minimum: 0.01
+ *           description: Amount tendered; cash may exceed what is due
+ *         reference:
+ *           type: string
+ *           description: Card slip, UPI transaction or other reference number
+ *     ValidationError:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: VALIDATION_FAILED
+ *         fields:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: body.price
+ *               message:
+ *                 type: string
+ */
+// A product or one of its active variants meets the condition; a product with
+// variants is judged by them alone, the same way it is sold
+const sellableMatchSql = (condition) => `((${condition("p")} AND NOT EXISTS (
+  SELECT 1 FROM products v WHERE v.parent_id = p.id AND v.archived_at IS NULL
+)) OR EXISTS (
+  SELECT 1 FROM products v WHERE v.parent_id = p.id AND v.archived_at IS NULL AND ${condition("v")}
+))`;
+// Products matching a search, joined as m with their best search_rank: exact SKU
+// or barcode first, then SKU or name prefixes, then the term anywhere, then names
+// that only match allowing for typos. Each branch is answered by its own index
+// and a variant's match counts for its product. Parameters: $2 the lower-cased
+// term, $3 the term as a pattern matching anywhere, $4 the term as typed, for
+// barcodes, and $5 the lower-cased term as a prefix pattern.
+const PRODUCT_SEARCH_MATCHES_SQL = `
+  SELECT COALESCE(match.parent_id, match.id) as id, MIN(match.search_rank) as search_rank
+  FROM (
+    SELECT id, parent_id, CASE WHEN lower(sku) = $2 THEN 0 ELSE 1 END as search_rank
+    FROM products
+    WHERE shop_id = $1 AND lower(sku) LIKE $5
+    UNION ALL
+    SELECT id, parent_id, 2
+    FROM products
+    WHERE shop_id = $1 AND sku ILIKE $3
+    UNION ALL
+    SELECT id, parent_id, CASE WHEN name ILIKE $5 OR name ILIKE '% ' || $5 THEN 1 ELSE 2 END
+    FROM products
+    WHERE shop_id = $1 AND parent_id IS NULL AND name ILIKE $3
+    UNION ALL
+    SELECT id, parent_id, 3
+    FROM products
+    WHERE shop_id = $1 AND parent_id IS NULL AND $2 <% name
+    UNION ALL
+    SELECT b.id, b.parent_id, 0
+    FROM product_barcodes pb
+    JOIN products b ON b.id = pb.product_id
+    WHERE pb.shop_id = $1 AND pb.code = $4
+  ) match
+  GROUP BY COALESCE(match.parent_id, match.id)`;
+// Search terms are matched literally, so a SKU like SKU_01 does not match SKUX01
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+// Helper function for the filters shared by GET /api/products and its category
+// facet. Typo tolerance comes from pg_trgm word similarity on the name. While
+// searching, joinClause adds the matches as m.
+const productListFilter = (req, options = {}) => {
+  const params = [req.user.shop_id];
+  const conditions = ["p.shop_id = $1", "p.parent_id IS NULL"];
+  const status = req.query.status || 'active';
+  if (status !== 'all') {
+    conditions.push(`p.archived_at IS ${status === 'archived' ? 'NOT NULL' : 'NULL'}`);
+  }
+  const search = (req.query.search || '').trim();
+  let joinClause = '';
+  if (search) {
+    const term = search.toLowerCase();
+    const pattern = escapeLike(term);
+    params.push(term, `%${pattern}%`, search, `${pattern}%`);
+    joinClause = ` JOIN (${PRODUCT_SEARCH_MATCHES_SQL}) m ON m.id = p.id`;
+  }
+  if (req.query.category && !options.allCategories) {
+    params.push(req.query.category);
+    conditions.push(`p.category = $${params.length}`);
+  }
+  if (req.query.min_price !== undefined || req.query.max_price !== undefined) {
+    params.push(req.query.min_price ?? null, req.query.max_price ?? null);
+    const min = `$${params.length - 1}::numeric`;
+    const max = `$${params.length}::numeric`;
+    conditions.push(sellableMatchSql(alias =>
+      `(${alias}.price >= ${min} OR ${min} IS NULL) AND (${alias}.price <= ${max} OR ${max} IS NULL)`));
+  }
+  if (req.query.in_stock !== undefined) {
+    const inStock = sellableMatchSql(alias => `${alias}.stock_quantity > 0`);
+    conditions.push(req.query.in_stock === 'true' ? inStock : `NOT ${inStock}`);
+  }
+  return { joinClause, whereClause: ` WHERE ${conditions.join(' AND ')}`, params, search };
+};
+// List cursors are opaque to clients: the sort values of the last product sent,
+// which are its search rank, similarity, name and id while searching and its
+// creation time and id otherwise
+const encodeProductCursor = (values) => Buffer.from(JSON.stringify(values)).toString("base64url");
+const decodeProductCursor = (cursor, searching) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const id = values[values.length - 1];
+    if (!Array.isArray(values) || values.length !== (searching ? 4 : 2) || !/^[0-9a-f-]{36}$/i.test(id)) {
+      return null;
+    }
+    if (searching
+      ? !Number.isInteger(values[0]) || !/^\d+(\.\d+)?$/.test(values[1]) || typeof values[2] !== 'string'
+      : !SYNC_CURSOR_TIME.test(values[0])) {
+      return null;
+    }
+    return values;
+  } catch (err) {
+    return null;
+  }
+};
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: Search and filter products
+ *     description: >
+ *       Variants are listed under their product rather than on their own, and a search matching a variant's SKU
+ *       finds its product. Archived variants are only included when status is archived or all. Without a search,
+ *       newest products come first. Pass next_cursor back as cursor for the following page.
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: >
+ *           Matches SKUs, barcodes and names, tolerating typos in names. Results are ranked by exact SKU or barcode,
+ *           then SKU or name prefix, then the term anywhere, then typo matches.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, archived, all]
+ *           default: active
+ *         description: Archived products are left out unless asked for
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: min_price
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: A product with variants matches when one of its variants does
+ *       - in: query
+ *         name: max_price
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - in: query
+ *         name: in_stock
+ *         schema:
+ *           type: boolean
+ *         description: true for products with stock to sell, false for those without
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: include_total
+ *         schema:
+ *           type: boolean
+ *         description: Also count every match. Leave it off for search-as-you-type.
+ *     responses:
+ *       200:
+ *         description: A page of products with the cursor for the next one
+ *       400:
+ *         description: Invalid cursor
+ */
+app.get("/api/products", async (req, res) => {
+  try {
+    const { limit } = getPaginationParams(req);
+    const { joinClause, whereClause, params, search } = productListFilter(req);
+    const status = req.query.status || 'active';
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeProductCursor(req.query.cursor, Boolean(search));
+      if (!cursor) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+    }
+    const sortColumns = search
+      ? "m.search_rank, round(word_similarity($2, p.name)::numeric, 4) as search_score"
+      : "p.created_at::text as sort_time";
+    const order = search
+      ? "p.search_rank, -p.search_score, p.name, p.id"
+      : "p.created_at DESC, p.id DESC";
+    const pageParams = [...params];
+    let keyset = '';
+    if (cursor) {
+      const first = pageParams.length + 1;
+      pageParams.push(...cursor);
+      keyset = search
+        ? ` WHERE (p.search_rank, -p.search_score, p.name, p.id) > ($${first}::int, -$${first + 1}::numeric, $${first + 2}, $${first + 3}::uuid)`
+        : ` WHERE (p.created_at, p.id) < ($${first}::timestamptz, $${first + 1}::uuid)`;
+    }
+    pageParams.push(limit + 1);
+    const [products, totalResult] = await Promise.all([
+      pool.query(`
+        SELECT p.*, ${productBarcodesJson("p")} as barcodes, ${productVariantsJson(status !== 'active')} as variants
+        FROM (
+          SELECT * FROM (SELECT p.*, ${sortColumns} FROM products p${joinClause}${whereClause}) p${keyset}
+          ORDER BY ${order}
+          LIMIT $${pageParams.length}
+        ) p
+        ORDER BY ${order}
+      `, pageParams),
+      req.query.include_total === 'true'
+        ? pool.query(`SELECT COUNT(*) FROM products p${joinClause}${whereClause}`, params)
+        : null
+    ]);
+    const hasMore = products.rows.length > limit;
+    const rows = products.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    res.json({
+      items: rows.map(({ search_rank, search_score, sort_time, ...product }) => product),
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore
+        ? encodeProductCursor(search
+          ? [last.search_rank, last.search_score, last.name, last.id]
+          : [last.sort_time, last.id])
+        : null,
+      ...(totalResult && { total: parseInt(totalResult.rows[0].count) })
+    });
+  } catch (err) {
+    console.error("Error fetching products:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/products/categories:
+ *   get:
+ *     summary: Categories with the number of products in each
+ *     description: >
+ *       Takes the same filters as GET /api/products apart from category, so the counts follow the current search.
+ *       Products without a category are counted under null.
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: >
+ *           Matches SKUs, barcodes and names, tolerating typos in names. Results are ranked by exact SKU or barcode,
+ *           then SKU or name prefix, then the term anywhere, then typo matches.
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, archived, all]
+ *           default: active
+ *         description: Archived products are left out unless asked for
+ *       - in: query
+ *         name: min_price
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: A product with variants matches when one of its variants does
+ *       - in: query
+ *         name: max_price
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *       - in: query
+ *         name: in_stock
+ *         schema:
+ *           type: boolean
+ *         description: true for products with stock to sell, false for those without
+ *     responses:
+ *       200:
+ *         description: Categories, largest first
+ */
+app.get("/api/products/categories", async (req, res) => {
+  try {
+    const { joinClause, whereClause, params } = productListFilter(req, { allCategories: true });
+    const result = await pool.query(`
+      SELECT p.category, COUNT(*) as count
+      FROM products p${joinClause}${whereClause}
+      GROUP BY p.category
+      ORDER BY COUNT(*) DESC, p.category NULLS LAST
+    `, params);
+    res.json(result.rows.map(row => ({ category: row.category, count: parseInt(row.count) })));
+  } catch (err) {
+    console.error("Error fetching product categories:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// Columns used by product import and export, in file order
+const PRODUCT_FILE_COLUMNS = [
+  'sku', 'name', 'price', 'mrp', 'category', 'hsn_code', 'tax_rate', 'unit', 'reorder_level', 'image_url', 'stock_quantity'
+];
+const PRODUCT_NUMBER_COLUMNS = ['price', 'mrp', 'tax_rate', 'reorder_level', 'stock_quantity'];
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const productFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 }
+}).single("file");
+// Reads a CSV or XLSX buffer into plain objects keyed by lower-cased header
+const readProductFile = async (file, format) => {
+  if (format === 'csv') {
+    return parseCsv(file.buffer, {
+      columns: header => header.map(column => String(column).trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true,
+      bom: true
+    });
+  }
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(file.buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = String(cell.text).trim().toLowerCase();
+  });
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      return;
+    }
+    const record = {};
+    headers.forEach((header, column) => {
+      if (header) {
+        record[header] = String(row.getCell(column).text).trim();
+      }
+    });
+    rows.push(record);
+  });
+  return rows;
+};
+// Turns a file row into the same shape POST /api/products receives
+const productFromFileRow = (row) => {
+  const product = {};
+  for (const column of PRODUCT_FILE_COLUMNS) {
+    const value = row[column];
+    if (value === undefined || value === '' || column === 'stock_quantity') {
+      continue;
+    }
+    // Non-numeric text is kept as is so validation reports it as the wrong type
+    const number = Number(value);
+    product[column] = PRODUCT_NUMBER_COLUMNS.includes(column) && !Number.isNaN(number) ? number : value;
+  }
+  return product;
+};
+// Helper function for writing rows to a CSV or XLSX download as they are produced
+const createFileWriter = (res, format, sheetName, columns) => {
+  if (format === 'csv') {
+    res.type("text/csv");
+    const csv = stringifyCsv({ header: true, columns });
+    csv.pipe(res);
+    return {
+      addRow: async (row) => {
+        if (!csv.write(row)) {
+          await once(csv, "drain");
+        }
+      },
+      finish: () => csv.end()
+    };
+  }
+  res.type(XLSX_TYPE);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({ header: column, key: column }));
+  return {
+    addRow: (row) => sheet.addRow(row).commit(),
+    finish: () => workbook.commit()
+  };
+};
+const fileFormat = (req) => {
+  const format = (req.query.format || '').toLowerCase();
+  if (format) {
+    return format;
+  }
+  if (req.file) {
+    return /\.xlsx$/i.test(req.file.originalname) || req.file.mimetype === XLSX_TYPE ? 'xlsx' : 'csv';
+  }
+  return 'csv';
+};
+/**
+ * @swagger
+ * /api/products/import:
+ *   post:
+ *     summary: Bulk create or update products from a CSV or XLSX file
+ *     description: |
+ *       The first row holds column names: sku, name, price, mrp, category, hsn_code, tax_rate, unit, reorder_level,
+ *       image_url. Rows are validated like POST /api/products. Rows with a SKU that already exists update that product,
+ *       everything else is created. Valid rows are saved even when other rows fail. Barcodes and variants are not
+ *       imported. Variants are exported as rows of their own and update by SKU, but take name, category, tax_rate,
+ *       hsn_code and unit from their product: a variant row must leave those as exported or as its product's row
+ *       in the same file sets them, and is rejected otherwise. Rows with the SKU of an archived product are rejected
+ *       until the product is restored.
+ *     x-permission: products:write
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *         description: Defaults to the file extension
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *         description: Validate and report without saving anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Per-row report with a status of created, updated or error
+ *       400:
+ *         description: Missing or unreadable file
+ */
+app.post("/api/products/import", productFileUpload, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "A file field is required" });
+  }
+  const format = fileFormat(req);
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or xlsx" });
+  }
+  let rows;
+  try {
+    rows = await readProductFile(req.file, format);
+  } catch (err) {
+    return res.status(400).json({ error: `Could not read ${format} file: ${err.message}` });
+  }
+  const dryRun = req.query.dry_run === 'true';
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Variant rows go after product rows so they are checked against what the file leaves on their product
+    const variantSkus = new Set((await client.query(
+      "SELECT sku FROM products WHERE shop_id = $1 AND parent_id IS NOT NULL AND sku = ANY($2::text[])",
+      [req.user.shop_id, rows.map(row => row.sku || '')]
+    )).rows.map(variant => variant.sku));
+    const ordered = [...rows.entries()].sort(([, a], [, b]) => variantSkus.has(a.sku) - variantSkus.has(b.sku));
+    const report = [];
+    for (const [index, row] of ordered) {
+      // Row numbers match the spreadsheet, where row 1 is the header
+      const entry = { row: index + 2, sku: row.sku || null };
+      const product = productFromFileRow(row);
+      if (!validateProductInput(product)) {
+        report.push({
+          ...entry,
+          status: 'error',
+          error: "Validation failed",
+          fields: fieldErrors("row", validateProductInput.errors)
+        });
+        continue;
+      }
+      const values = [
+        req.user.shop_id, product.name, product.price, product.mrp, product.image_url, product.sku,
+        product.category, product.tax_rate || 0, product.hsn_code, product.reorder_level || 0, product.unit
+      ];
+      await client.query('SAVEPOINT import_row');
+      try {
+        const existing = product.sku ? await client.query(
+          "SELECT * FROM products WHERE shop_id = $1 AND sku = $2 FOR UPDATE",
+          [req.user.shop_id, product.sku]
+        ) : { rows: [] };
+        const previous = existing.rows[0];
+        // An archived product stays out of the catalog, so updating it would look like a lost row
+        if (previous && previous.archived_at) {
+          await client.query('RELEASE SAVEPOINT import_row');
+          report.push({
+            ...entry,
+            status: 'error',
+            error: "Product is archived; restore it before importing",
+            id: previous.id
+          });
+          continue;
+        }
+        // A variant row may repeat its inherited values, as exported, but not change them
+        const overridden = previous && previous.parent_id ? INHERITED_PRODUCT_FIELDS.filter(field =>
+          product[field] !== undefined && (field === 'tax_rate'
+            ? Number(product[field]) !== Number(previous[field])
+            : String(product[field]) !== String(previous[field]))) : [];
+        if (overridden.length > 0) {
+          await client.query('RELEASE SAVEPOINT import_row');
+          report.push({
+            ...entry,
+            status: 'error',
+            error: `Variants take ${INHERITED_PRODUCT_FIELDS.join(', ')} from their parent product`,
+            fields: overridden.map(field => ({ field: `row.${field}`, message: "must match the parent product" }))
+          });
+          continue;
+        }
+        const result = await client.query(`
+          INSERT INTO products (
+            shop_id, name, price, mrp, image_url, sku, category, tax_rate, hsn_code, reorder_level, unit,
+            created_at, updated_at
+          )
+          VALUES (
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, 'pcs'), CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+          )
+          ON CONFLICT (shop_id, sku) DO UPDATE SET
+            name = CASE WHEN products.parent_id IS NULL THEN EXCLUDED.name ELSE products.name END,
+            price = EXCLUDED.price,
+            mrp = EXCLUDED.mrp,
+            image_url = COALESCE(EXCLUDED.image_url, products.image_url),
+            category = CASE WHEN products.parent_id IS NULL
+              THEN COALESCE(EXCLUDED.category, products.category) ELSE products.category END,
+            tax_rate = CASE WHEN products.parent_id IS NULL THEN EXCLUDED.tax_rate ELSE products.tax_rate END,
+            hsn_code = CASE WHEN products.parent_id IS NULL
+              THEN COALESCE(EXCLUDED.hsn_code, products.hsn_code) ELSE products.hsn_code END,
+            reorder_level = EXCLUDED.reorder_level,
+            unit = CASE WHEN products.parent_id IS NULL THEN COALESCE($11, products.unit) ELSE products.unit END,
+            updated_at = CURRENT_TIMESTAMP
+          RETURNING *, (xmax = 0) AS inserted
+        `, values);
+        const { inserted, ...saved } = result.rows[0];
+        await recordAudit(client, req, {
+          entity: 'product',
+          entityId: saved.id,
+          action: inserted ? 'create' : 'update',
+          before: existing.rows[0],
+          after: saved
+        });
+        await queueWebhookEvent(client, req.user.shop_id, inserted ? 'product.created' : 'product.updated', saved);
+        if (previous && !saved.parent_id && INHERITED_PRODUCT_FIELDS.some(field =>
+          JSON.stringify(previous[field]) !== JSON.stringify(saved[field]))) {
+          await cascadeInheritedFields(client, req, saved.id);
+        }
+        await client.query('RELEASE SAVEPOINT import_row');
+        const { id } = saved;
+        report.push({ ...entry, status: inserted ? 'created' : 'updated', id });
+      } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+        if (err.code !== '23505' && err.code !== '22001') {
+          throw err;
+        }
+        report.push({
+          ...entry,
+          status: 'error',
+          error: err.code === '23505' ? "SKU already exists" : "Value too long"
+        });
+      }
+    }
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    report.sort((a, b) => a.row - b.row);
+    const count = (status) => report.filter(entry => entry.status === status).length;
+    res.json({
+      dry_run: dryRun,
+      total: report.length,
+      created: count('created'),
+      updated: count('updated'),
+      failed: count('error'),
+      rows: report
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error importing products:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     summary: Download the product catalog as CSV or XLSX
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Catalog file, in the same columns the import accepts plus stock_quantity
+ */
+app.get("/api/products/export", async (req, res) => {
+  const format = fileFormat(req);
+  if (!['csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or xlsx" });
+  }
+  res.set("Content-Disposition", `attachment; filename="products.${format}"`);
+  const { addRow, finish } = createFileWriter(res, format, "Products", PRODUCT_FILE_COLUMNS);
+  try {
+    // Page through the catalog by id so large shops are never held in memory at once
+    let lastId = null;
+    for (;;) {
+      const batch = await pool.query(`
+        SELECT * FROM products
+        WHERE shop_id = $1 AND archived_at IS NULL AND ($2::uuid IS NULL OR id > $2)
+        ORDER BY id
+        LIMIT 500
+      `, [req.user.shop_id, lastId]);
+      for (const product of batch.rows) {
+        for (const column of PRODUCT_NUMBER_COLUMNS) {
+          product[column] = product[column] === null ? null : Number(product[column]);
+        }
+        await addRow(product);
+      }
+      if (batch.rows.length < 500) {
+        break;
+      }
+      lastId = batch.rows[batch.rows.length - 1].id;
+    }
+    await finish();
+  } catch (err) {
+    console.error("Error exporting products:", err);
+    res.destroy(err);
+  }
+});
+/**
+ * @swagger
+ * /api/products/low-stock:
+ *   get:
+ *     summary: List products whose stock is below their reorder level
+ *     description: Products with variants are left out; their variants are listed instead.
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Products to reorder, lowest stock relative to reorder level first
+ */
+app.get("/api/products/low-stock", async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const [products, totalResult] = await Promise.all([
+      pool.query(`
+        SELECT * FROM products
+        WHERE shop_id = $1 AND ${LOW_STOCK_SQL}
+        ORDER BY stock_quantity - reorder_level, name
+        LIMIT $2 OFFSET $3
+      `, [req.user.shop_id, limit, offset]),
+      pool.query(`
+        SELECT COUNT(*) FROM products
+        WHERE shop_id = $1 AND ${LOW_STOCK_SQL}
+      `, [req.user.shop_id])
+    ]);
+    res.json({
+      items: products.rows,
+      total: parseInt(totalResult.rows[0].count),
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error("Error fetching low-stock products:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/products/barcode/{code}:
+ *   get:
+ *     summary: Look up the product or variant a scanned barcode belongs to
+ *     description: Returns the exact variant that is sold under the barcode, with its parent product's id and name.
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/Barcode'
+ *     responses:
+ *       200:
+ *         description: Product details
+ *       404:
+ *         description: No active product has this barcode
+ */
+app.get("/api/products/barcode/:code", async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.*, ${productBarcodesJson("p")} as barcodes,
+        CASE WHEN parent.id IS NULL THEN NULL ELSE json_build_object('id', parent.id, 'name', parent.name) END as parent
+      FROM product_barcodes pb
+      JOIN products p ON p.id = pb.product_id
+      LEFT JOIN products parent ON parent.id = p.parent_id
+      WHERE pb.shop_id = $1 AND pb.code = $2 AND p.archived_at IS NULL
+    `, [req.user.shop_id, req.params.code]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "No product with this barcode" });
+    }
+    res.json({ product: result.rows[0] });
+  } catch (err) {
+    console.error("Error looking up barcode:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   get:
+ *     summary: Get product by ID
+ *     description: Includes the product's barcodes and all of its variants, archived ones too.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Product details
+ */
+app.get("/api/products/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(`
+      SELECT p.*, ${productBarcodesJson("p")} as barcodes, ${productVariantsJson(true)} as variants
+      FROM products p
+      WHERE p.id = $1 AND p.shop_id = $2
+    `, [id, req.user.shop_id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+    res.json({ product: result.rows[0] });
+  } catch (err) {
+    console.error("Error fetching product:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Create a new product
+ *     x-permission: products:write
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductInput'
+ *     responses:
+ *       201:
+ *         description: Product created
+ *       400:
+ *         description: Invalid product, or the SKU or a barcode already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+app.post("/api/products", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { name, price, mrp, image_url, sku, category, tax_rate, hsn_code, reorder_level, unit, barcodes } = req.body;
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO products (
+        shop_id, name, price, mrp, image_url, sku, category, tax_rate, hsn_code, reorder_level, unit,
+        created_at, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING *
+    `, [
+      req.user.shop_id, name, price, mrp, image_url, sku, category, tax_rate || 0, hsn_code, reorder_level || 0,
+      unit || 'pcs'
+    ]);
+    const product = {
+      ...result.rows[0],
+      barcodes: await setProductBarcodes(client, req.user.shop_id, result.rows[0].id, barcodes || [])
+    };
+    await recordAudit(client, req, { entity: 'product', entityId: product.id, action: 'create', after: product });
+    await queueWebhookEvent(client, req.user.shop_id, 'product.created', product);
+    await client.query('COMMIT');
+    res.status(201).json(product);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error creating product:", err);
+    if (err.code === '23505') {
+      res.status(400).json(productConflict(err));
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   put:
+ *     summary: Update product
+ *     description: >
+ *       Changes to a product's name, category, tax_rate, hsn_code or unit are passed on to its variants, which
+ *       cannot change them themselves.
+ *     x-permission: products:write
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ProductFields'
+ *               - type: object
+ *                 minProperties: 1
+ *                 properties:
+ *                   variant_name:
+ *                     type: string
+ *                     minLength: 1
+ *                     description: Variants only
+ *     responses:
+ *       200:
+ *         description: Product updated
+ *       400:
+ *         description: Invalid fields for a product or variant, or the SKU or a barcode already exists
+ */
+app.put("/api/products/:id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+    const allowedFields = [
+      'name', 'price', 'mrp', 'image_url', 'sku', 'category', 'tax_rate', 'hsn_code', 'reorder_level', 'unit',
+      'variant_name'
+    ];
+    const fields = Object.keys(updates).filter(key =>
+      allowedFields.includes(key) && updates[key] !== undefined
+    );
+    if (fields.length === 0 && updates.barcodes === undefined) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+    await client.query('BEGIN');
+    const existing = await client.query(
+      "SELECT * FROM products WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [id, req.user.shop_id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Product not found" });
+    }
+    const { parent_id: parentId } = existing.rows[0];
+    if (parentId && fields.some(field => INHERITED_PRODUCT_FIELDS.includes(field))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: `Variants take ${INHERITED_PRODUCT_FIELDS.join(', ')} from their parent product`
+      });
+    }
+    if (!parentId && fields.includes('variant_name')) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Only variants have a variant_name" });
+    }
+    const values = fields.map(field => updates[field]);
+    if (fields.includes('variant_name')) {
+      const parentResult = await client.query("SELECT name FROM products WHERE id = $1", [parentId]);
+      fields.push('name');
+      values.push(`${parentResult.rows[0].name} ${updates.variant_name}`);
+    }
+    const assignments = [...fields.map((field, index) => `${field} = $${index + 3}`), 'updated_at = CURRENT_TIMESTAMP'];
+    const result = await client.query(`
+      UPDATE products
+      SET ${assignments.join(', ')}
+      WHERE id = $1 AND shop_id = $2
+      RETURNING *
+    `, [id, req.user.shop_id, ...values]);
+    const before = { ...existing.rows[0], barcodes: await productBarcodes(client, id) };
+    const product = {
+      ...result.rows[0],
+      barcodes: updates.barcodes === undefined
+        ? before.barcodes
+        : await setProductBarcodes(client, req.user.shop_id, id, updates.barcodes)
+    };
+    await recordAudit(client, req, { entity: 'product', entityId: id, action: 'update', before, after: product });
+    await queueWebhookEvent(client, req.user.shop_id, 'product.updated', product);
+    if (fields.some(field => INHERITED_PRODUCT_FIELDS.includes(field))) {
+      await cascadeInheritedFields(client, req, id);
+    }
+    await client.query('COMMIT');
+    res.json(product);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error updating product:", err);
+    if (err.code === '23505') {
+      res.status(400).json(productConflict(err));
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   delete:
+ *     summary: Archive product
+ *     description: >
+ *       Products are archived rather than deleted. An archived product leaves the catalog and can no longer be
+ *       sold, but old bills and sales reports still resolve it and it can be restored. Archiving a product archives
+ *       its variants too.
+ *     x-permission: products:write
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Product archived
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is already archived
+ */
+app.delete("/api/products/:id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    await client.query('BEGIN');
+    const existing = await client.query(
+      "SELECT * FROM products WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [id, req.user.shop_id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Product not found" });
+    }
+    if (existing.rows[0].archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: "Product is already archived" });
+    }
+    await cascadeArchive(client, req, id, true);
+    const result = await client.query(`
+      UPDATE products SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+    await recordAudit(client, req, {
+      entity: 'product', entityId: id, action: 'archive', before: existing.rows[0], after: result.rows[0]
+    });
+    await queueWebhookEvent(client, req.user.shop_id, 'product.deleted', result.rows[0]);
+    await client.query('COMMIT');
+    res.json({ message: "Product archived successfully", product: result.rows[0] });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error archiving product:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/products/{id}/restore:
+ *   post:
+ *     summary: Restore an archived product to the catalog
+ *     description: Variants archived along with the product are restored with it.
+ *     x-permission: products:write
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Product restored
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is not archived, or it is a variant of an archived product
+ */
+app.post("/api/products/:id/restore", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    await client.query('BEGIN');
+    const existing = await client.query(
+      "SELECT * FROM products WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [id, req.user.shop_id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Product not found" });
+    }
+    if (!existing.rows[0].archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: "Product is not archived" });
+    }
+    if (existing.rows[0].parent_id) {
+      const parentResult = await client.query(
+        "SELECT archived_at FROM products WHERE id = $1",
+        [existing.rows[0].parent_id]
+      );
+      if (parentResult.rows[0].archived_at) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: "Restore the parent product first" });
+      }
+    }
+    await cascadeArchive(client, req, id, false);
+    const result = await client.query(`
+      UPDATE products SET archived_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+    await recordAudit(client, req, {
+      entity: 'product', entityId: id, action: 'restore', before: existing.rows[0], after: result.rows[0]
+    });
+    await queueWebhookEvent(client, req.user.shop_id, 'product.updated', result.rows[0]);
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error restoring product:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   post:
+ *     summary: Add a variant to a product
+ *     description: >
+ *       A variant is sold, stocked and priced on its own and has its own SKU and barcodes. It takes its category,
+ *       tax rate, HSN code and unit from the product, and its name is the product's name followed by variant_name.
+ *       Once a product has variants it is sold through them.
+ *     x-permission: products:write
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - variant_name
+ *             properties:
+ *               variant_name:
+ *                 type: string
+ *                 minLength: 1
+ *                 example: 500ml
+ *               sku:
+ *                 type: string
+ *                 minLength: 1
+ *                 nullable: true
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Defaults to the product's price
+ *               mrp:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Defaults to the product's MRP
+ *               image_url:
+ *                 type: string
+ *                 nullable: true
+ *               reorder_level:
+ *                 type: number
+ *                 multipleOf: 0.001
+ *                 minimum: 0
+ *               barcodes:
+ *                 $ref: '#/components/schemas/Barcodes'
+ *     responses:
+ *       201:
+ *         description: Variant created
+ *       400:
+ *         description: The product is itself a variant, or the SKU or a barcode already exists
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is archived
+ */
+app.post("/api/products/:id/variants", async (req, res) => {
+  const { variant_name, sku, price, mrp, image_url, reorder_level, barcodes } = req.body;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const parentResult = await client.query(
+      "SELECT * FROM products WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [req.params.id, req.user.shop_id]
+    );
+    const parent = parentResult.rows[0];
+    if (!parent) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Product not found" });
+    }
+    if (parent.parent_id) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Variants cannot have variants of their own" });
+    }
+    if (parent.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: "Product is archived" });
+    }
+    const result = await client.query(`
+      INSERT INTO products (
+        shop_id, parent_id, variant_name, name, price, mrp, image_url, sku, category, tax_rate, hsn_code, unit,
+        reorder_level, created_at, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING *
+    `, [
+      req.user.shop_id, parent.id, variant_name, `${parent.name} ${variant_name}`,
+      price === undefined ? parent.price : price, mrp === undefined ? parent.mrp : mrp,
+      image_url === undefined ? parent.image_url : image_url, sku, parent.category, parent.tax_rate,
+      parent.hsn_code, parent.unit, reorder_level || 0
+    ]);
+    const variant = {
+      ...result.rows[0],
+      barcodes: await setProductBarcodes(client, req.user.shop_id, result.rows[0].id, barcodes || [])
+    };
+    await recordAudit(client, req, { entity: 'product', entityId: variant.id, action: 'create', after: variant });
+    await queueWebhookEvent(client, req.user.shop_id, 'product.created', variant);
+    // Bumping the parent lets offline devices pick up that it now sells through variants
+    await client.query("UPDATE products SET updated_at = CURRENT_TIMESTAMP WHERE id = $1", [parent.id]);
+    await client.query('COMMIT');
+    res.status(201).json(variant);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error creating variant:", err);
+    if (err.code === '23505') {
+      res.status(400).json(productConflict(err));
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/products/{id}/stock:
+ *   post:
+ *     summary: Record a stock movement for a product
+ *     description: Purchases and returns add stock. Adjustments take a signed quantity, e.g. -2 for breakage. Sales are recorded by POST /api/bills.
+ *     x-permission: stock:write
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - movement_type
+ *               - quantity
+ *             properties:
+ *               movement_type:
+ *                 type: string
+ *                 enum: [purchase, adjustment, return]
+ *               quantity:
+ *                 type: number
+ *                 multipleOf: 0.001
+ *                 not:
+ *                   enum: [0]
+ *                 description: Whole numbers unless the product is sold by kg, l or m
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Movement recorded, includes the new stock_quantity
+ *       400:
+ *         description: A fractional quantity of a product sold in whole units, or a product with variants
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is archived
+ */
+app.post("/api/products/:id/stock", async (req, res) => {
+  const { movement_type, quantity, note } = req.body;
+  if (movement_type !== 'adjustment' && quantity < 0) {
+    return res.status(400).json({
+      error: "Validation failed",
+      code: "VALIDATION_FAILED",
+      fields: [{ field: "body.quantity", message: "must be positive for purchases and returns" }]
+    });
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const productResult = await client.query(
+      `SELECT unit, archived_at, ${HAS_VARIANTS_SQL} AS has_variants FROM products WHERE id = $1 AND shop_id = $2`,
+      [req.params.id, req.user.shop_id]
+    );
+    const product = productResult.rows[0];
+    if (product && product.archived_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: "Product is archived", code: "PRODUCT_ARCHIVED" });
+    }
+    if (product && product.has_variants) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Stock is kept per variant", code: "VARIANT_REQUIRED" });
+    }
+    if (product && !quantityAllowed(quantity, product.unit)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        error: "Validation failed",
+        code: "VALIDATION_FAILED",
+        fields: [{ field: "body.quantity", message: `must be a whole number of ${product.unit}` }]
+      });
+    }
+    const movement = await recordStockMovement(client, {
+      shopId: req.user.shop_id,
+      productId: req.params.id,
+      type: movement_type,
+      quantity,
+      note,
+      createdBy: req.user.id
+    });
+    if (!movement) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Product not found" });
+    }
+    await recordAudit(client, req, {
+      entity: 'product',
+      entityId: req.params.id,
+      action: `stock_${movement_type}`,
+      before: { stock_quantity: fromMilli(toMilli(movement.stock_quantity) - toMilli(quantity)) },
+      after: { stock_quantity: Number(movement.stock_quantity) }
+    });
+    const updated = await client.query("SELECT * FROM products WHERE id = $1", [req.params.id]);
+    await queueWebhookEvent(client, req.user.shop_id, 'product.updated', {
+      ...updated.rows[0],
+      barcodes: await productBarcodes(client, req.params.id)
+    });
+    await client.query('COMMIT');
+    res.status(201).json(movement);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error recording stock movement:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/products/{id}/stock-movements:
+ *   get:
+ *     summary: Get the stock ledger of a product
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [purchase, sale, adjustment, return]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Stock movements, newest first
+ */
+app.get("/api/products/:id/stock-movements", async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { type } = req.query;
+    if (type && !STOCK_MOVEMENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${STOCK_MOVEMENT_TYPES.join(', ')}` });
+    }
+    let whereClause = " WHERE shop_id = $1 AND product_id = $2";
+    const queryParams = [req.user.shop_id, req.params.id];
+    if (type) {
+      whereClause += " AND movement_type = $3";
+      queryParams.push(type);
+    }
+    const [movements, totalResult] = await Promise.all([
+      pool.query(`
+        SELECT * FROM stock_movements${whereClause}
+        ORDER BY created_at DESC
+        LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+      `, [...queryParams, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM stock_movements${whereClause}`, queryParams)
+    ]);
+    res.json({
+      items: movements.rows,
+      total: parseInt(totalResult.rows[0].count),
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error("Error fetching stock movements:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/products/{id}/costs:
+ *   get:
+ *     summary: Get the cost history of a product
+ *     description: One entry per receipt of goods with the unit cost paid and the moving average cost after it.
+ *     x-permission: purchasing:manage
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Cost entries, newest first, and the current average cost
+ *       404:
+ *         description: Product not found
+ */
+app.get("/api/products/:id/costs", async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const productResult = await pool.query(
+      `SELECT id, ${currentCostSql("products")} AS current_cost FROM products WHERE id = $1 AND shop_id = $2`,
+      [req.params.id, req.user.shop_id]
+    );
+    if (productResult.rows.length === 0) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+    const [costs, totalResult] = await Promise.all([
+      pool.query(`
+        SELECT pc.*, s.name as supplier_name, po.po_number
+        FROM product_costs pc
+        LEFT JOIN suppliers s ON s.id = pc.supplier_id
+        LEFT JOIN purchase_orders po ON po.id = pc.purchase_order_id
+        WHERE pc.product_id = $1
+        ORDER BY pc.created_at DESC
+        LIMIT $2 OFFSET $3
+      `, [req.params.id, limit, offset]),
+      pool.query("SELECT COUNT(*) FROM product_costs WHERE product_id = $1", [req.params.id])
+    ]);
+    res.json({
+      current_cost: productResult.rows[0].current_cost,
+      items: costs.rows,
+      total: parseInt(totalResult.rows[0].count),
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error("Error fetching product costs:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// Helper function for creating a bill inside the caller's transaction. Failures
+// come back as { status, body } and the caller must roll back. Options carry the
+// staff member making the sale (createdBy) and the client_id and sale time of
+// bills pushed by the offline app; a sale time ahead of the server clock is
+// stored as now.
+const createBill = async (db, shopId, input, options = {}) => {
+  const { items, total_amount, total_mrp, total_savings, place_of_supply, customer_id } = input;
+  const createdBy = options.createdBy || null;
+  const onMismatch = input.on_mismatch || 'reject';
+  const couponCode = input.coupon_code ? input.coupon_code.trim().toUpperCase() : null;
+  const payments = input.payments || [];
+  if (customer_id && input.customer) {
+    return { status: 400, body: { error: "Send either customer_id or customer, not both" } };
+  }
+  if (payments.some(payment => payment.mode === 'credit') && !customer_id && !input.customer) {
+    return { status: 400, body: { error: "Credit payments need a customer" } };
+  }
+  const productIds = [...new Set(items.map(item => String(item.product_id)))];
+  const productsResult = await db.query(
+    `SELECT id, parent_id, name, price, mrp, category, tax_rate, hsn_code, unit, stock_quantity, archived_at,
+       ${HAS_VARIANTS_SQL} AS has_variants, ${currentCostSql("products")} AS unit_cost
+     FROM products
+     WHERE id = ANY($1) AND shop_id = $2 ORDER BY id FOR UPDATE`,
+    [productIds, shopId]
+  );
+  const products = new Map(productsResult.rows.map(product => [String(product.id), product]));
+  const missing = productIds.filter(id => !products.has(id));
+  if (missing.length > 0) {
+    return { status: 400, body: { error: "Unknown products", product_ids: missing } };
+  }
+  const archived = productIds.filter(id => products.get(id).archived_at);
+  if (archived.length > 0) {
+    return {
+      status: 400,
+      body: { error: "Archived products cannot be sold", code: "PRODUCT_ARCHIVED", product_ids: archived }
+    };
+  }
+  const withVariants = productIds.filter(id => products.get(id).has_variants);
+  if (withVariants.length > 0) {
+    return {
+      status: 400,
+      body: { error: "Products with variants are sold by variant", code: "VARIANT_REQUIRED", product_ids: withVariants }
+    };
+  }
+  const fractional = [...new Set(items
+    .filter(item => !quantityAllowed(item.quantity, products.get(String(item.product_id)).unit))
+    .map(item => String(item.product_id)))];
+  if (fractional.length > 0) {
+    return {
+      status: 400,
+      body: {
+        error: `Only products sold by ${FRACTIONAL_UNITS.join(', ')} take fractional quantities`,
+        code: "INVALID_QUANTITY",
+        product_ids: fractional
+      }
+    };
+  }
+  // Taking the next invoice number locks the shop row, so numbers stay gapless
+  const shopResult = await db.query(`
+    UPDATE users SET last_invoice_number = last_invoice_number + 1
+    WHERE id = $1
+    RETURNING gst, settings, last_invoice_number
+  `, [shopId]);
+  const shop = shopResult.rows[0];
+  if (!shop) {
+    return { status: 404, body: { error: "Shop not found" } };
+  }
+  let customer = null;
+  if (customer_id) {
+    const customerResult = await db.query(
+      "SELECT * FROM customers WHERE id = $1 AND shop_id = $2",
+      [customer_id, shopId]
+    );
+    customer = customerResult.rows[0];
+    if (!customer) {
+      return { status: 400, body: { error: "Unknown customer" } };
+    }
+  } else if (input.customer) {
+    customer = await upsertCustomer(db, shopId, input.customer);
+  }
+  // Quantities per product, in thousandths
+  const requested = new Map();
+  for (const item of items) {
+    const id = String(item.product_id);
+    requested.set(id, (requested.get(id) || 0) + toMilli(item.quantity));
+  }
+  if ((shop.settings && shop.settings.oversell) === 'block') {
+    const shortages = [...requested.entries()]
+      .filter(([id, milli]) => toMilli(products.get(id).stock_quantity) < milli)
+      .map(([id, milli]) => ({
+        product_id: id,
+        requested: fromMilli(milli),
+        in_stock: Number(products.get(id).stock_quantity)
+      }));
+    if (shortages.length > 0) {
+      return { status: 409, body: { error: "Insufficient stock", shortages } };
+    }
+  }
+  const promotionsResult = await db.query(`
+    SELECT * FROM promotions
+    WHERE shop_id = $1 AND active
+      AND (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP)
+      AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)
+      AND (usage_limit IS NULL OR usage_count < usage_limit)
+      AND (coupon_code IS NULL OR coupon_code = $2)
+    ORDER BY created_at
+  `, [shopId, couponCode]);
+  if (couponCode && !promotionsResult.rows.some(promotion => promotion.coupon_code === couponCode)) {
+    return { status: 400, body: { error: "Coupon is invalid or has expired", code: "INVALID_COUPON" } };
+  }
+  const shopState = gstStateCode(shop.gst);
+  const placeOfSupply = place_of_supply || gstStateCode(customer && customer.gstin) || shopState;
+  const { lines, totals, discrepancies, promotions } = priceBill(items, products, {
+    total_amount, total_mrp, total_savings
+  }, { registered: Boolean(shopState), interState: placeOfSupply !== shopState }, promotionsResult.rows);
+  if (couponCode && !promotions.some(promotion => promotion.coupon_code === couponCode)) {
+    return { status: 400, body: { error: "Coupon does not apply to this bill", code: "COUPON_NOT_APPLICABLE" } };
+  }
+  if (discrepancies.length > 0 && onMismatch === 'reject') {
+    return {
+      status: 409,
+      body: { error: "Bill does not match catalog prices", discrepancies, expected: totals }
+    };
+  }
+  const settlement = settlePayments(payments, totals.total_amount);
+  if (settlement.error) {
+    return { status: 400, body: { error: settlement.error } };
+  }
+  // Usage limits are checked again under the row lock so two counters cannot
+  // both take the last use of a coupon
+  if (promotions.length > 0) {
+    const usageResult = await db.query(`
+      UPDATE promotions SET usage_count = usage_count + 1
+      WHERE id = ANY($1) AND (usage_limit IS NULL OR usage_count < usage_limit)
+      RETURNING id
+    `, [promotions.map(promotion => promotion.promotion_id)]);
+    if (usageResult.rows.length < promotions.length) {
+      return { status: 409, body: { error: "Promotion usage limit reached" } };
+    }
+  }
+  const billResult = await db.query(`
+    INSERT INTO bills (
+      shop_id, invoice_number, total_amount, total_mrp, total_savings, created_by, place_of_supply,
+      taxable_value, cgst_total, sgst_total, igst_total, total_tax, customer_id, customer_gstin,
+      total_discount, coupon_code, amount_paid, payment_status, client_id, created_at
+    )
+    VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+      LEAST(COALESCE($20::timestamptz, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP)
+    )
+    RETURNING *
+  `, [
+    shopId, shop.last_invoice_number, totals.total_amount, totals.total_mrp, totals.total_savings,
+    createdBy, placeOfSupply, totals.taxable_value, totals.cgst, totals.sgst, totals.igst, totals.total_tax,
+    customer && customer.id, customer && customer.gstin, totals.total_discount, couponCode,
+    settlement.paid, paymentStatus(totals.total_amount, settlement.paid), options.clientId || null,
+    options.createdAt || null
+  ]);
+  const billId = billResult.rows[0].id;
+  await insertPayments(db, billResult.rows[0], settlement.payments, createdBy, billResult.rows[0].created_at);
+  for (const line of lines) {
+    const itemResult = await db.query(`
+      INSERT INTO bill_items (
+        bill_id, product_id, name, price, mrp, quantity, unit, discount,
+        hsn_code, tax_rate, taxable_value, cgst, sgst, igst, unit_cost
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING id
+    `, [
+      billId, line.product_id, line.name, line.price, line.mrp, line.quantity, line.unit, line.discount,
+      line.hsn_code, line.tax_rate, line.taxable_value, line.cgst, line.sgst, line.igst,
+      products.get(String(line.product_id)).unit_cost
+    ]);
+    for (const promotion of line.promotions) {
+      await db.query(`
+        INSERT INTO bill_item_discounts (bill_item_id, promotion_id, promotion_name, amount)
+        VALUES ($1, $2, $3, $4)
+      `, [itemResult.rows[0].id, promotion.promotion_id, promotion.name, promotion.amount]);
+    }
+  }
+  for (const [productId, milli] of requested) {
+    await recordStockMovement(db, {
+      shopId,
+      productId,
+      type: 'sale',
+      quantity: -fromMilli(milli),
+      billId,
+      createdBy
+    });
+  }
+  return { billId, bill: billResult.rows[0], discrepancies };
+};
+// Keys are kept long enough to cover a client's retries. An expired key is
+// free to claim again, and a background sweep deletes the old rows.
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const IDEMPOTENCY_KEY_SWEEP_SECONDS = 3600;
+const requestHash = (body) => crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+// Helper function for taking an Idempotency-Key inside the bill transaction.
+// Returns nothing when the key is new. A request still holding the key blocks
+// the insert until it finishes, so the row returned for a repeat always carries
+// the committed response.
+const claimIdempotencyKey = async (db, shopId, key, hash) => {
+  const inserted = await db.query(`
+    INSERT INTO idempotency_keys (shop_id, key, request_hash)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (shop_id, key) DO UPDATE SET
+      request_hash = EXCLUDED.request_hash,
+      bill_id = NULL,
+      response = NULL,
+      created_at = CURRENT_TIMESTAMP
+    WHERE idempotency_keys.created_at < CURRENT_TIMESTAMP - make_interval(hours => $4)
+    RETURNING key
+  `, [shopId, key, hash, IDEMPOTENCY_KEY_TTL_HOURS]);
+  if (inserted.rows.length > 0) {
+    return null;
+  }
+  const existing = await db.query(
+    "SELECT request_hash, response FROM idempotency_keys WHERE shop_id = $1 AND key = $2",
+    [shopId, key]
+  );
+  return existing.rows[0];
+};
+const purgeIdempotencyKeys = () => pool.query(
+  "DELETE FROM idempotency_keys WHERE created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)",
+  [IDEMPOTENCY_KEY_TTL_HOURS]
+);
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BillInput:
+ *       type: object
+ *       required:
+ *         - items
+ *       properties:
+ *         items:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: object
+ *             required:
+ *               - product_id
+ *               - quantity
+ *             properties:
+ *               product_id:
+ *                 type: string
+ *                 format: uuid
+ *               name:
+ *                 type: string
+ *                 description: Ignored, the catalog name is stored
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Optional, checked against the catalog price
+ *               mrp:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Optional, checked against the catalog MRP
+ *               quantity:
+ *                 type: number
+ *                 minimum: 0.001
+ *                 multipleOf: 0.001
+ *                 description: Whole numbers unless the product is sold by kg, l or m
+ *         total_amount:
+ *           type: number
+ *           minimum: 0
+ *           description: Optional, checked against the computed total
+ *         total_mrp:
+ *           type: number
+ *           minimum: 0
+ *           description: Optional, checked against the computed total
+ *         total_savings:
+ *           type: number
+ *           description: Optional, checked against the computed total
+ *         customer_id:
+ *           type: string
+ *           format: uuid
+ *           description: Existing customer to attach the bill to
+ *         customer:
+ *           $ref: '#/components/schemas/CustomerInput'
+ *           description: Inline buyer details, saved as a customer. A known phone number updates that customer.
+ *         place_of_supply:
+ *           type: string
+ *           pattern: '^[0-9]{2}$'
+ *           description: Two-digit GST state code of the buyer. Defaults to the state in the buyer's GSTIN, then the shop's state; a different state charges IGST instead of CGST and SGST.
+ *         coupon_code:
+ *           type: string
+ *           minLength: 1
+ *           description: Unlocks a coupon promotion. Automatic promotions apply without one; each line gets its best line-level offer and the bill its best bill-level offer.
+ *         payments:
+ *           type: array
+ *           description: How the bill was settled. Cash beyond the total is returned as change; credit entries leave that amount owed and need a customer. Without payments the bill is unpaid.
+ *           items:
+ *             $ref: '#/components/schemas/PaymentInput'
+ *         on_mismatch:
+ *           type: string
+ *           enum: [reject, recompute]
+ *           default: reject
+ *           description: Reject the bill when client prices or totals differ from the catalog, or store the server-computed values instead
+ */
+/**
+ * @swagger
+ * /api/bills:
+ *   post:
+ *     summary: Create a new bill with items
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 255
+ *         description: >
+ *           A unique value per bill, reused when retrying. A repeat within the retention window returns the original
+ *           201 response, marked with an Idempotent-Replayed header, instead of creating another bill.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BillInput'
+ *     responses:
+ *       201:
+ *         description: Bill created, with the promotions applied to each line
+ *       400:
+ *         description: >
+ *           Invalid items, unknown or archived products, a product with variants instead of one of its variants,
+ *           a fractional quantity of a product sold in whole units, an unknown customer, or a coupon that is
+ *           invalid or does not apply
+ *       409:
+ *         description: >
+ *           Client prices or totals do not match the catalog, stock is insufficient while the shop's
+ *           settings.oversell is "block", a promotion ran out of uses, or the Idempotency-Key was already used
+ *           with a different request body
+ */
+app.post("/api/bills", async (req, res) => {
+  const idempotencyKey = req.get("Idempotency-Key");
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (idempotencyKey) {
+      const hash = requestHash(req.body);
+      const claim = await claimIdempotencyKey(client, req.user.shop_id, idempotencyKey, hash);
+      if (claim) {
+        await client.query('ROLLBACK');
+        if (claim.request_hash !== hash) {
+          return res.status(409).json({
+            error: "Idempotency-Key was already used with a different request",
+            code: "IDEMPOTENCY_KEY_REUSED"
+          });
+        }
+        res.set("Idempotent-Replayed", "true");
+        return res.status(201).json(claim.response);
+      }
+    }
+    const result = await createBill(client, req.user.shop_id, req.body, { createdBy: req.user.id });
+    if (result.status) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json(result.body);
+    }
+    const bill = await fetchBill(client, result.billId, req.user.shop_id);
+    bill.tax_breakdown = taxBreakdown(bill.items);
+    if (result.discrepancies.length > 0) {
+      bill.discrepancies = result.discrepancies;
+    }
+    await recordAudit(client, req, { entity: 'bill', entityId: result.billId, action: 'create', after: result.bill });
+    await queueWebhookEvent(client, req.user.shop_id, 'bill.created', bill);
+    if (idempotencyKey) {
+      await client.query(
+        "UPDATE idempotency_keys SET bill_id = $3, response = $4 WHERE shop_id = $1 AND key = $2",
+        [req.user.shop_id, idempotencyKey, bill.id, JSON.stringify(bill)]
+      );
+    }
+    await client.query('COMMIT');
+    res.status(201).json(bill);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error creating bill:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/bills:
+ *   get:
+ *     summary: Get bills with date range and pagination
+ *     parameters:
+ *       - in: query
+ *         name: start
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to include, in the shop timezone
+ *       - in: query
+ *         name: end
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day to include, in the shop timezone
+ *       - in: query
+ *         name: customer_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: payment_status
+ *         schema:
+ *           type: string
+ *           enum: [paid, partially_paid, unpaid]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: List of bills with items
+ */
+app.get("/api/bills", async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { start, end, customer_id, payment_status } = req.query;
+    let query = `
+      SELECT
+        b.*,
+        ${BILL_ITEMS_JSON} as items
+      FROM bills b
+      LEFT JOIN bill_items bi ON b.id = bi.bill_id
+    `;
+    let countQuery = "SELECT COUNT(*) FROM bills";
+    const { whereClause: salesWhere, params: queryParams } = salesFilter(req.user.shop_id, SHOP_TIMEZONE, start, end);
+    const conditions = [];
+    if (customer_id) {
+      conditions.push(`b.customer_id = $${queryParams.length + 1}`);
+      queryParams.push(customer_id);
+    }
+    if (payment_status) {
+      conditions.push(`b.payment_status = $${queryParams.length + 1}`);
+      queryParams.push(payment_status);
+    }
+    const whereClause = [salesWhere, ...conditions].join(' AND ');
+    query += whereClause;
+    countQuery += whereClause.replace(/b\./g, '');
+    query += ` GROUP BY b.id ORDER BY b.created_at DESC LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
+    const finalParams = [...queryParams, limit, offset];
+    const [bills, totalResult] = await Promise.all([
+      pool.query(query, finalParams),
+      pool.query(countQuery, queryParams)
+    ]);
+    res.json({
+      items: bills.rows,
+      total: parseInt(totalResult.rows[0].count),
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error("Error fetching bills:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// Columns of the bills export, one row per line item
+const BILL_EXPORT_COLUMNS = [
+  'bill_id', 'invoice_number', 'created_at', 'cashier', 'status', 'payment_status', 'customer_name', 'customer_gstin',
+  'place_of_supply', 'product_id', 'sku', 'name', 'hsn_code', 'quantity', 'returned_quantity', 'unit', 'price', 'mrp',
+  'discount', 'amount', 'savings', 'tax_rate', 'taxable_value', 'cgst', 'sgst', 'igst'
+];
+/**
+ * @swagger
+ * /api/bills/export:
+ *   get:
+ *     summary: Download bills as CSV or XLSX, one row per line item
+ *     x-permission: reports:read
+ *     parameters:
+ *       - in: query
+ *         name: start
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to include, in the shop timezone
+ *       - in: query
+ *         name: end
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day to include, in the shop timezone
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Bill lines oldest first. amount is what was charged after discounts; savings is MRP value less amount.
+ */
+app.get("/api/bills/export", async (req, res) => {
+  const format = fileFormat(req);
+  const { whereClause, params } = salesFilter(req.user.shop_id, SHOP_TIMEZONE, req.query.start, req.query.end);
+  res.set("Content-Disposition", `attachment; filename="bills.${format}"`);
+  const { addRow, finish } = createFileWriter(res, format, "Bills", BILL_EXPORT_COLUMNS);
+  try {
+    // Page through bills by (created_at, id) so only one batch is held in memory.
+    // The timestamp is carried as text because JS dates drop the microseconds.
+    let after = null;
+    for (;;) {
+      const cursor = after ? ` AND (b.created_at, b.id) > ($${params.length + 1}::timestamptz, $${params.length + 2})` : '';
+      const batch = await pool.query(`
+        SELECT b.id, b.created_at::text as created_at
+        FROM bills b
+        ${whereClause}${cursor}
+        ORDER BY b.created_at, b.id
+        LIMIT 500
+      `, after ? [...params, after.created_at, after.id] : params);
+      if (batch.rows.length === 0) {
+        break;
+      }
+      const lines = await pool.query(`
+        SELECT
+          b.id as bill_id,
+          b.invoice_number,
+          to_char(b.created_at AT TIME ZONE $3, 'YYYY-MM-DD HH24:MI:SS') as created_at,
+          ${CASHIER_NAME_SQL} as cashier,
+          b.status,
+          b.payment_status,
+          c.name as customer_name,
+          b.customer_gstin,
+          b.place_of_supply,
+          bi.product_id,
+          p.sku,
+          bi.name,
+          bi.hsn_code,
+          bi.quantity,
+          bi.returned_quantity,
+          bi.unit,
+          bi.price,
+          bi.mrp,
+          bi.discount,
+          bi.tax_rate,
+          bi.taxable_value,
+          bi.cgst,
+          bi.sgst,
+          bi.igst
+        FROM bills b
+        JOIN bill_items bi ON bi.bill_id = b.id
+        LEFT JOIN products p ON p.id = bi.product_id
+        LEFT JOIN customers c ON c.id = b.customer_id
+        LEFT JOIN users staff ON staff.id = b.created_by
+        WHERE b.id = ANY($1) AND b.shop_id = $2
+        ORDER BY b.created_at, b.id, bi.id
+      `, [batch.rows.map(bill => bill.id), req.user.shop_id, SHOP_TIMEZONE]);
+      for (const line of lines.rows) {
+        const amount = lineAmount(toPaise(line.price), line.quantity) - toPaise(line.discount);
+        await addRow({
+          ...line,
+          quantity: Number(line.quantity),
+          returned_quantity: Number(line.returned_quantity),
+          price: Number(line.price),
+          mrp: Number(line.mrp),
+          discount: Number(line.discount),
+          amount: fromPaise(amount),
+          savings: fromPaise(lineAmount(toPaise(line.mrp), line.quantity) - amount),
+          tax_rate: Number(line.tax_rate),
+          taxable_value: Number(line.taxable_value),
+          cgst: Number(line.cgst),
+          sgst: Number(line.sgst),
+          igst: Number(line.igst)
+        });
+      }
+      if (batch.rows.length < 500) {
+        break;
+      }
+      after = batch.rows[batch.rows.length - 1];
+    }
+    await finish();
+  } catch (err) {
+    console.error("Error exporting bills:", err);
+    res.destroy(err);
+  }
+});
+/**
+ * @swagger
+ * /api/bills/{id}:
+ *   get:
+ *     summary: Get bill by ID with items
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Bill details with items and a tax_breakdown grouped by GST rate
+ */
+app.get("/api/bills/:id", async (req, res) => {
+  try {
+    const bill = await fetchBill(pool, req.params.id, req.user.shop_id);
+    if (!bill) {
+      return res.status(404).json({ error: "Bill not found" });
+    }
+    res.json({ ...bill, tax_breakdown: taxBreakdown(bill.items) });
+  } catch (err) {
+    console.error("Error fetching bill:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// Invoice page layouts in PDF points; thermal receipts grow to fit their content
+const INVOICE_LAYOUTS = {
+  a4: { width: 595.28, height: 841.89, margin: 40, fontSize: 10, thermal: false },
+  "80mm": { width: 226.77, margin: 8, fontSize: 8, thermal: true },
+  "58mm": { width: 164.41, margin: 6, fontSize: 7, thermal: true }
+};
+const SHOP_TIMEZONE = process.env.SHOP_TIMEZONE || "Asia/Kolkata";
+const formatMoney = (value) => Number(value || 0).toFixed(2);
+const formatInvoiceDate = (date) => new Date(date).toLocaleString("en-IN", { timeZone: SHOP_TIMEZONE });
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+// Helper function for loading everything an invoice prints
+const getInvoiceData = async (billId, shopId) => {
+  const [bill, shopResult] = await Promise.all([
+    fetchBill(pool, billId, shopId),
+    pool.query("SELECT * FROM users WHERE id = $1", [shopId])
+  ]);
+  if (!bill) {
+    return null;
+  }
+  const items = (bill.items || []).filter(item => item && item.id !== null);
+  return { bill, items, shop: shopResult.rows[0] || {}, taxes: taxBreakdown(items) };
+};
+// Header, item and total rows shared by the PDF and HTML invoices
+const invoiceSections = ({ bill, shop, items, taxes }) => ({
+  header: [
+    shop.shop_address,
+    shop.phone && `Phone: ${shop.phone}`,
+    shop.gst && `GSTIN: ${shop.gst}`
+  ].filter(Boolean),
+  meta: [
+    `Invoice No: ${bill.invoice_number}`,
+    `Date: ${formatInvoiceDate(bill.created_at)}`,
+    bill.cashier && `Cashier: ${bill.cashier}`,
+    bill.place_of_supply && `Place of supply: ${bill.place_of_supply}`
+  ].filter(Boolean),
+  buyer: bill.customer ? [
+    `Billed to: ${bill.customer.name}`,
+    bill.customer.address,
+    bill.customer.phone && `Phone: ${bill.customer.phone}`,
+    bill.customer_gstin && `GSTIN: ${bill.customer_gstin}`
+  ].filter(Boolean) : [],
+  items: items.map(item => ({
+    name: item.name,
+    hsn_code: item.hsn_code || '',
+    quantity: item.unit && item.unit !== 'pcs' ? `${Number(item.quantity)} ${item.unit}` : String(Number(item.quantity)),
+    mrp: formatMoney(item.mrp),
+    price: formatMoney(item.price),
+    discount: Number(item.discount) > 0 ? formatMoney(item.discount) : null,
+    amount: formatMoney(fromPaise(lineAmount(toPaise(item.price), item.quantity) - toPaise(item.discount || 0)))
+  })),
+  totals: [
+    ["Total MRP", formatMoney(bill.total_mrp)],
+    ...(Number(bill.total_discount) > 0 ? [["Discount", formatMoney(bill.total_discount)]] : []),
+    ["You saved", formatMoney(bill.total_savings)],
+    ...(Number(bill.total_tax) > 0 ? [
+      ["Taxable value", formatMoney(bill.taxable_value)],
+      ["CGST", formatMoney(bill.cgst_total)],
+      ["SGST", formatMoney(bill.sgst_total)],
+      ["IGST", formatMoney(bill.igst_total)]
+    ].filter(([, value]) => Number(value) > 0) : []),
+    ["Total", formatMoney(bill.total_amount)],
+    ...(bill.payments || []).map(payment => [
+      payment.mode === 'credit' ? "On credit" : `Paid by ${payment.mode.toUpperCase()}`,
+      formatMoney(payment.tendered)
+    ]),
+    ...((bill.payments || []).some(payment => Number(payment.change_returned) > 0) ? [[
+      "Change",
+      formatMoney((bill.payments || []).reduce((sum, payment) => sum + Number(payment.change_returned), 0))
+    ]] : []),
+    ...(Number(bill.amount_credited) > 0 ? [["Returns credited", formatMoney(bill.amount_credited)]] : []),
+    ...(bill.payment_status !== 'paid' ? [["Balance due", formatMoney(fromPaise(balanceDue(bill)))]] : [])
+  ],
+  taxes: taxes.filter(tax => tax.total_tax > 0)
+});
+// Draws the invoice and returns the y position below the last line. Called once
+// on an oversized page to measure thermal receipts, then again for real.
+const drawInvoicePdf = (doc, data, layout) => {
+  const sections = invoiceSections(data);
+  const { margin, fontSize } = layout;
+  const width = layout.width - margin * 2;
+  const pageBottom = (layout.height || Infinity) - margin;
+  let y = margin;
+  const line = (text, options = {}) => {
+    doc.font(options.bold ? "Helvetica-Bold" : "Helvetica").fontSize(options.size || fontSize);
+    const height = doc.heightOfString(text, { width });
+    if (y + height > pageBottom) {
+      doc.addPage();
+      y = margin;
+    }
+    doc.text(text, margin, y, { width, align: options.align || "left" });
+    y += height + 1;
+  };
+  const rule = () => {
+    doc.moveTo(margin, y + 2).lineTo(margin + width, y + 2).lineWidth(0.5).stroke();
+    y += 6;
+  };
+  const row = (columns, values, bold) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(fontSize);
+    const height = Math.max(...columns.map((col, i) => doc.heightOfString(values[i], { width: col.width })));
+    if (y + height > pageBottom) {
+      doc.addPage();
+      y = margin;
+    }
+    let x = margin;
+    columns.forEach((col, i) => {
+      doc.text(values[i], x, y, { width: col.width, align: col.align || "left" });
+      x += col.width;
+    });
+    y += height + 2;
+  };
+  line(data.shop.shop_name || "Invoice", { bold: true, size: fontSize + 4, align: "center" });
+  sections.header.forEach(text => line(text, { align: "center" }));
+  line(data.shop.gst ? "TAX INVOICE" : "INVOICE", { bold: true, align: "center" });
+  rule();
+  sections.meta.forEach(text => line(text));
+  if (sections.buyer.length > 0) {
+    rule();
+    sections.buyer.forEach(text => line(text));
+  }
+  rule();
+  if (layout.thermal) {
+    const columns = [
+      { width: width * 0.46 },
+      { width: width * 0.14, align: "right" },
+      { width: width * 0.4, align: "right" }
+    ];
+    row(columns, ["Item", "Qty", "Amount"], true);
+    sections.items.forEach(item => {
+      row(columns, [item.name, item.quantity, item.amount]);
+      row([{ width }], [`  MRP ${item.mrp}  Price ${item.price}${item.discount ? `  Less ${item.discount}` : ""}`]);
+    });
+  } else {
+    const columns = [
+      { width: width * 0.34 },
+      { width: width * 0.12 },
+      { width: width * 0.08, align: "right" },
+      { width: width * 0.15, align: "right" },
+      { width: width * 0.15, align: "right" },
+      { width: width * 0.16, align: "right" }
+    ];
+    row(columns, ["Item", "HSN", "Qty", "MRP", "Price", "Amount"], true);
+    sections.items.forEach(item => {
+      const name = item.discount ? `${item.name}\nLess ${item.discount}` : item.name;
+      row(columns, [name, item.hsn_code, item.quantity, item.mrp, item.price, item.amount]);
+    });
+  }
+  rule();
+  const totalColumns = [{ width: width * 0.6 }, { width: width * 0.4, align: "right" }];
+  sections.totals.forEach(([label, value]) => row(totalColumns, [label, value], label === "Total"));
+  if (sections.taxes.length > 0) {
+    rule();
+    const taxColumns = [
+      { width: width * 0.25 },
+      { width: width * 0.4, align: "right" },
+      { width: width * 0.35, align: "right" }
+    ];
+    row(taxColumns, ["GST %", "Taxable", "Tax"], true);
+    sections.taxes.forEach(tax => {
+      row(taxColumns, [String(tax.tax_rate), formatMoney(tax.taxable_value), formatMoney(tax.total_tax)]);
+    });
+  }
+  rule();
+  line("Thank you for shopping with us!", { align: "center" });
+  return y;
+};
+const renderInvoiceHtml = (data, layoutName) => {
+  const layout = INVOICE_LAYOUTS[layoutName];
+  const sections = invoiceSections(data);
+  const pageWidth = layout.thermal ? layoutName : "210mm";
+  const less = (item) => (item.discount ? `<div class="muted">Less ${item.discount}</div>` : "");
+  const itemRows = sections.items.map(item => layout.thermal
+    ? `<tr><td>${escapeHtml(item.name)}<div class="muted">MRP ${item.mrp} &middot; Price ${item.price}</div>${less(item)}</td>` +
+      `<td class="num">${item.quantity}</td><td class="num">${item.amount}</td></tr>`
+    : `<tr><td>${escapeHtml(item.name)}${less(item)}</td><td>${escapeHtml(item.hsn_code)}</td><td class="num">${item.quantity}</td>` +
+      `<td class="num">${item.mrp}</td><td class="num">${item.price}</td><td class="num">${item.amount}</td></tr>`
+  ).join("\n");
+  const itemHeader = layout.thermal
+    ? "<tr><th>Item</th><th class=\"num\">Qty</th><th class=\"num\">Amount</th></tr>"
+    : "<tr><th>Item</th><th>HSN</th><th class=\"num\">Qty</th><th class=\"num\">MRP</th><th class=\"num\">Price</th><th class=\"num\">Amount</th></tr>";
+  const totalRows = sections.totals.map(([label, value]) =>
+    `<tr${label === "Total" ? " class=\"grand\"" : ""}><td>${label}</td><td class="num">${value}</td></tr>`
+  ).join("\n");
+  const taxTable = sections.taxes.length === 0 ? "" : `
+  <table>
+    <tr><th>GST %</th><th class="num">Taxable</th><th class="num">Tax</th></tr>
+    ${sections.taxes.map(tax =>
+      `<tr><td>${tax.tax_rate}</td><td class="num">${formatMoney(tax.taxable_value)}</td><td class="num">${formatMoney(tax.total_tax)}</td></tr>`
+    ).join("\n")}
+  </table>`;
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(data.bill.invoice_number)}</title>
+<style>
+  @page { size: ${layout.thermal ? `${layoutName} auto` : "A4"}; margin: ${layout.thermal ? "2mm" : "12mm"}; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: ${layout.fontSize + 2}px; width: ${pageWidth}; margin: 0 auto; }
+  h1 { font-size: 1.4em; margin: 0; }
+  .center { text-align: center; }
+  .muted { color: #555; font-size: 0.9em; }
+  table { width: 100%; border-collapse: collapse; margin: 6px 0; }
+  th, td { text-align: left; padding: 2px; vertical-align: top; }
+  th { border-bottom: 1px solid #000; }
+  .num { text-align: right; }
+  .grand td { font-weight: bold; border-top: 1px solid #000; }
+  hr { border: 0; border-top: 1px dashed #000; }
+</style>
+</head>
+<body>
+  <div class="center">
+    <h1>${escapeHtml(data.shop.shop_name || "Invoice")}</h1>
+    ${sections.header.map(text => `<div>${escapeHtml(text)}</div>`).join("\n    ")}
+    <strong>${data.shop.gst ? "TAX INVOICE" : "INVOICE"}</strong>
+  </div>
+  <hr>
+  ${sections.meta.map(text => `<div>${escapeHtml(text)}</div>`).join("\n  ")}${sections.buyer.length === 0 ? "" : `
+  <hr>
+  ${sections.buyer.map(text => `<div>${escapeHtml(text)}</div>`).join("\n  ")}`}
+  <table>
+    ${itemHeader}
+    ${itemRows}
+  </table>
+  <table>
+    ${totalRows}
+  </table>${taxTable}
+  <hr>
+  <div class="center">Thank you for shopping with us!</div>
+</body>
+</html>`;
+};
+/**
+ * @swagger
+ * /api/bills/{id}/invoice.pdf:
+ *   get:
+ *     summary: Render a bill as a printable PDF invoice
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: layout
+ *         schema:
+ *           type: string
+ *           enum: [a4, 80mm, 58mm]
+ *           default: a4
+ *     responses:
+ *       200:
+ *         description: PDF invoice
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Bill not found
+ */
+app.get("/api/bills/:id/invoice.pdf", async (req, res) => {
+  try {
+    const layoutName = req.query.layout || "a4";
+    const layout = INVOICE_LAYOUTS[layoutName];
+    if (!layout) {
+      return res.status(400).json({ error: "layout must be one of a4, 80mm, 58mm" });
+    }
+    const data = await getInvoiceData(req.params.id, req.user.shop_id);
+    if (!data) {
+      return res.status(404).json({ error: "Bill not found" });
+    }
+    let pageLayout = layout;
+    if (layout.thermal) {
+      const measured = drawInvoicePdf(new PDFDocument({ size: [layout.width, 100000] }), data, layout);
+      pageLayout = { ...layout, height: measured + layout.margin };
+    }
+    const doc = new PDFDocument({ size: [pageLayout.width, pageLayout.height], margin: pageLayout.margin });
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `inline; filename="invoice-${data.bill.invoice_number}.pdf"`);
+    doc.pipe(res);
+    drawInvoicePdf(doc, data, pageLayout);
+    doc.end();
+  } catch (err) {
+    console.error("Error rendering invoice PDF:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/bills/{id}/invoice.html:
+ *   get:
+ *     summary: Render a bill as a printable HTML invoice
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: layout
+ *         schema:
+ *           type: string
+ *           enum: [a4, 80mm, 58mm]
+ *           default: a4
+ *     responses:
+ *       200:
+ *         description: HTML invoice
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Bill not found
+ */
+app.get("/api/bills/:id/invoice.html", async (req, res) => {
+  try {
+    const layoutName = req.query.layout || "a4";
+    if (!INVOICE_LAYOUTS[layoutName]) {
+      return res.status(400).json({ error: "layout must be one of a4, 80mm, 58mm" });
+    }
+    const data = await getInvoiceData(req.params.id, req.user.shop_id);
+    if (!data) {
+      return res.status(404).json({ error: "Bill not found" });
+    }
+    res.type("html").send(renderInvoiceHtml(data, layoutName));
+  } catch (err) {
+    console.error("Error rendering invoice HTML:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/bills/{id}/void:
+ *   post:
+ *     summary: Void a whole bill
+ *     description: Issues a credit note for every quantity not already returned and marks the bill voided. The bill and its items are kept unchanged.
+ *     x-permission: bills:refund
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 minLength: 1
+ *               restock:
+ *                 type: boolean
+ *                 default: true
+ *               refund_mode:
+ *                 type: string
+ *                 enum: [cash, card, upi, credit]
+ *                 description: >
+ *                   How the refund is paid out. credit takes it off what the customer still owes on
+ *                   the bill; cash, card and upi cannot pay out more than was paid. Left out, the
+ *                   refund clears what is owed first and the rest is paid in cash.
+ *     responses:
+ *       201:
+ *         description: Credit note created
+ *       400:
+ *         description: The refund pays out more than was paid or credits more than is owed
+ *       404:
+ *         description: Bill not found
+ *       409:
+ *         description: Bill is already voided or fully returned
+ */
+app.post("/api/bills/:id/void", async (req, res) => {
+  const { reason, restock, refund_mode } = req.body;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const billResult = await client.query(
+      "SELECT * FROM bills WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [req.params.id, req.user.shop_id]
+    );
+    const bill = billResult.rows[0];
+    if (!bill) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Bill not found" });
+    }
+    const itemsResult = await client.query(
+      "SELECT * FROM bill_items WHERE bill_id = $1 AND returned_quantity < quantity FOR UPDATE",
+      [bill.id]
+    );
+    if (bill.status === 'voided' || itemsResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Bill is already ${bill.status}` });
+    }
+    const creditNote = await createCreditNote(client, bill, itemsResult.rows.map(item => ({
+      item,
+      quantity: fromMilli(toMilli(item.quantity) - toMilli(item.returned_quantity))
+    })), {
+      kind: 'void', reason, restock: restock !== false, refundMode: refund_mode, createdBy: req.user.id
+    });
+    if (creditNote.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json(creditNote);
+    }
+    await recordAudit(client, req, creditNoteAudit(bill, creditNote));
+    await queueWebhookEvent(client, req.user.shop_id, 'bill.voided', {
+      ...await fetchBill(client, bill.id, req.user.shop_id),
+      credit_note: creditNote
+    });
+    await client.query('COMMIT');
+    res.status(201).json(creditNote);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error voiding bill:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/bills/{id}/returns:
+ *   post:
+ *     summary: Record a partial return against a bill
+ *     x-permission: bills:refund
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *               - reason
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - bill_item_id
+ *                     - quantity
+ *                   properties:
+ *                     bill_item_id:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: number
+ *                       minimum: 0.001
+ *                       multipleOf: 0.001
+ *                       description: Whole numbers unless the item was sold by kg, l or m
+ *               reason:
+ *                 type: string
+ *                 minLength: 1
+ *               restock:
+ *                 type: boolean
+ *                 default: true
+ *               refund_mode:
+ *                 type: string
+ *                 enum: [cash, card, upi, credit]
+ *                 description: >
+ *                   How the refund is paid out. credit takes it off what the customer still owes on
+ *                   the bill; cash, card and upi cannot pay out more than was paid. Left out, the
+ *                   refund clears what is owed first and the rest is paid in cash.
+ *     responses:
+ *       201:
+ *         description: Credit note created
+ *       400:
+ *         description: >
+ *           Invalid items, quantity exceeds what is left to return, or the refund pays out more
+ *           than was paid or credits more than is owed
+ *       404:
+ *         description: Bill not found
+ *       409:
+ *         description: Bill is voided
+ */
+app.post("/api/bills/:id/returns", async (req, res) => {
+  const { items, reason, restock, refund_mode } = req.body;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const billResult = await client.query(
+      "SELECT * FROM bills WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [req.params.id, req.user.shop_id]
+    );
+    const bill = billResult.rows[0];
+    if (!bill) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Bill not found" });
+    }
+    if (bill.status === 'voided') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: "Bill is voided" });
+    }
+    const itemsResult = await client.query(
+      "SELECT * FROM bill_items WHERE bill_id = $1 FOR UPDATE",
+      [bill.id]
+    );
+    const billItems = new Map(itemsResult.rows.map(item => [String(item.id), item]));
+    // Quantities per bill item, in thousandths
+    const requested = new Map();
+    for (const item of items) {
+      const id = String(item.bill_item_id);
+      requested.set(id, (requested.get(id) || 0) + toMilli(item.quantity));
+    }
+    const errors = [];
+    for (const [id, milli] of requested) {
+      const item = billItems.get(id);
+      const returnable = item && toMilli(item.quantity) - toMilli(item.returned_quantity);
+      if (!item) {
+        errors.push({ bill_item_id: id, error: "Not an item of this bill" });
+      } else if (!quantityAllowed(fromMilli(milli), item.unit)) {
+        errors.push({ bill_item_id: id, error: `Quantity must be a whole number of ${item.unit}` });
+      } else if (milli > returnable) {
+        errors.push({
+          bill_item_id: id,
+          error: "Quantity exceeds what is left to return",
+          returnable: fromMilli(returnable)
+        });
+      }
+    }
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Invalid return items", details: errors });
+    }
+    const creditNote = await createCreditNote(client, bill, [...requested].map(([id, milli]) => ({
+      item: billItems.get(id),
+      quantity: fromMilli(milli)
+    })), {
+      kind: 'return', reason, restock: restock !== false, refundMode: refund_mode, createdBy: req.user.id
+    });
+    if (creditNote.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json(creditNote);
+    }
+    await recordAudit(client, req, creditNoteAudit(bill, creditNote));
+    await client.query('COMMIT');
+    res.status(201).json(creditNote);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error recording return:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/bills/{id}/payments:
+ *   post:
+ *     summary: Record a later payment against an outstanding bill
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PaymentInput'
+ *               - type: object
+ *                 properties:
+ *                   mode:
+ *                     enum: [cash, card, upi]
+ *     responses:
+ *       201:
+ *         description: Payment recorded; returns the bill with its payments
+ *       400:
+ *         description: Payment is more than the balance and is not cash
+ *       404:
+ *         description: Bill not found
+ *       409:
+ *         description: Bill is voided or already paid
+ */
+app.post("/api/bills/:id/payments", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const billResult = await client.query(
+      "SELECT * FROM bills WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [req.params.id, req.user.shop_id]
+    );
+    const bill = billResult.rows[0];
+    if (!bill) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Bill not found" });
+    }
+    if (bill.status === 'voided' || bill.payment_status === 'paid') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Bill is already ${bill.status === 'voided' ? 'voided' : 'paid'}` });
+    }
+    const due = fromPaise(balanceDue(bill));
+    const settlement = settlePayments([req.body], due);
+    if (settlement.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: settlement.error, balance_due: due });
+    }
+    await insertPayments(client, bill, settlement.payments, req.user.id);
+    const paid = fromPaise(toPaise(bill.amount_paid) + toPaise(settlement.paid));
+    const updated = await client.query(
+      "UPDATE bills SET amount_paid = $2, payment_status = $3 WHERE id = $1 RETURNING *",
+      [bill.id, paid, paymentStatus(fromPaise(toPaise(bill.total_amount) - toPaise(bill.amount_credited)), paid)]
+    );
+    await recordAudit(client, req, {
+      entity: 'bill', entityId: bill.id, action: 'payment', before: bill, after: updated.rows[0]
+    });
+    await client.query('COMMIT');
+    res.status(201).json(await fetchBill(pool, bill.id, req.user.shop_id));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error recording payment:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/bills/{id}/credit-notes:
+ *   get:
+ *     summary: List the credit notes issued against a bill
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Credit notes with their items, oldest first
+ *       404:
+ *         description: Bill not found
+ */
+app.get("/api/bills/:id/credit-notes", async (req, res) => {
+  try {
+    const billResult = await pool.query(
+      "SELECT id FROM bills WHERE id = $1 AND shop_id = $2",
+      [req.params.id, req.user.shop_id]
+    );
+    if (billResult.rows.length === 0) {
+      return res.status(404).json({ error: "Bill not found" });
+    }
+    const result = await pool.query(`
+      SELECT
+        cn.*,
+        json_agg(
+          json_build_object(
+            'id', cni.id,
+            'bill_item_id', cni.bill_item_id,
+            'product_id', cni.product_id,
+            'name', cni.name,
+            'price', cni.price,
+            'mrp', cni.mrp,
+            'quantity', cni.quantity,
+            'taxable_value', cni.taxable_value,
+            'cgst', cni.cgst,
+            'sgst', cni.sgst,
+            'igst', cni.igst
+          )
+        ) as items
+      FROM credit_notes cn
+      JOIN credit_note_items cni ON cn.id = cni.credit_note_id
+      WHERE cn.bill_id = $1
+      GROUP BY cn.id
+      ORDER BY cn.created_at
+    `, [req.params.id]);
+    res.json({ items: result.rows });
+  } catch (err) {
+    console.error("Error fetching credit notes:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// Catalog changes are only handed out once they are a few seconds old. Rows are
+// stamped with their transaction's start time, so a slow transaction can commit
+// a change older than a cursor a device has already been given.
+const SYNC_SETTLE_SECONDS = parseInt(process.env.SYNC_SETTLE_SECONDS) || 10;
+// Sync cursors are opaque to devices: the change time and id of the last change sent
+const SYNC_CURSOR_TIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?[+-]\d{2}(:\d{2})?$/;
+const encodeSyncCursor = (change) => Buffer.from(JSON.stringify([change.changed_at, change.id])).toString("base64url");
+const decodeSyncCursor = (cursor) => {
+  try {
+    const [changedAt, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!SYNC_CURSOR_TIME.test(changedAt) || !/^[0-9a-f-]{36}$/i.test(id)) {
+      return null;
+    }
+    return { changedAt, id };
+  } catch (err) {
+    return null;
+  }
+};
+// Helper function for describing why a pushed bill was rejected in terms the
+// device can act on
+const SYNC_PRODUCT_CONFLICTS = {
+  PRODUCT_ARCHIVED: 'product_archived',
+  VARIANT_REQUIRED: 'variant_required',
+  INVALID_QUANTITY: 'invalid_quantity'
+};
+const syncConflicts = (body, deletedIds) => [
+  ...(body.product_ids || []).map(id => ({
+    type: SYNC_PRODUCT_CONFLICTS[body.code] || (deletedIds.has(id) ? 'product_deleted' : 'unknown_product'),
+    product_id: id
+  })),
+  ...(body.discrepancies || []).map(discrepancy => ({
+    type: discrepancy.product_id ? 'price_changed' : 'total_changed',
+    ...discrepancy
+  })),
+  ...(body.shortages || []).map(shortage => ({ type: 'insufficient_stock', ...shortage }))
+];
+const findSyncedBill = async (db, shopId, clientId) => {
+  const result = await db.query(
+    "SELECT id, invoice_number, total_amount FROM bills WHERE shop_id = $1 AND client_id = $2",
+    [shopId, clientId]
+  );
+  return result.rows[0];
+};
+const syncedBillResult = (clientId, status, bill) => ({
+  client_id: clientId,
+  status,
+  bill_id: bill.id,
+  invoice_number: bill.invoice_number,
+  total_amount: bill.total_amount
+});
+// Each pushed bill gets its own transaction so one rejected bill does not hold
+// back the rest of the batch. A replay finds the bill created the first time.
+const syncBill = async (db, req, input) => {
+  const shopId = req.user.shop_id;
+  const existing = await findSyncedBill(db, shopId, input.client_id);
+  if (existing) {
+    return syncedBillResult(input.client_id, 'duplicate', existing);
+  }
+  try {
+    await db.query('BEGIN');
+    const result = await createBill(db, shopId, input, {
+      clientId: input.client_id, createdAt: input.created_at, createdBy: req.user.id
+    });
+    if (result.status) {
+      await db.query('ROLLBACK');
+      const deleted = await db.query(
+        "SELECT entity_id FROM deleted_records WHERE shop_id = $1 AND entity = 'product' AND entity_id = ANY($2)",
+        [shopId, result.body.product_ids || []]
+      );
+      return {
+        client_id: input.client_id,
+        status: 'rejected',
+        error: result.body.error,
+        ...(result.body.code && { code: result.body.code }),
+        conflicts: syncConflicts(result.body, new Set(deleted.rows.map(row => String(row.entity_id))))
+      };
+    }
+    await recordAudit(db, req, { entity: 'bill', entityId: result.billId, action: 'create', after: result.bill });
+    await queueWebhookEvent(db, shopId, 'bill.created', await fetchBill(db, result.billId, shopId));
+    await db.query('COMMIT');
+    const bill = await findSyncedBill(db, shopId, input.client_id);
+    return {
+      ...syncedBillResult(input.client_id, 'created', bill),
+      ...(result.discrepancies.length > 0 && { discrepancies: result.discrepancies })
+    };
+  } catch (err) {
+    await db.query('ROLLBACK');
+    // Another push of the same bill committed first
+    if (err.code === '23505' && err.constraint === 'bills_shop_id_client_id_key') {
+      return syncedBillResult(input.client_id, 'duplicate', await findSyncedBill(db, shopId, input.client_id));
+    }
+    throw err;
+  }
+};
+/**
+ * @swagger
+ * /api/sync/products:
+ *   get:
+ *     summary: Pull product catalog changes for offline devices
+ *     description: >
+ *       Returns products created or changed since the cursor, oldest change first, and the ids of products archived
+ *       since then. Start without a cursor for a full download, then keep passing the returned cursor until has_more
+ *       is false. Changes become visible here a few seconds after they are made. Variants come as products of
+ *       their own with a parent_id, and every product carries its barcodes for offline scanning.
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Changed products, deleted product ids and the cursor for the next pull
+ *       400:
+ *         description: Invalid cursor
+ */
+app.get("/api/sync/products", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 500, 1), 1000);
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeSyncCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+    }
+    // Archived products are sent as deletes. Tombstones only exist for products
+    // deleted before archiving replaced deletion, so ids never repeat.
+    const changesResult = await pool.query(`
+      SELECT kind, id, changed_at::text AS changed_at FROM (
+        SELECT CASE WHEN archived_at IS NULL THEN 'product' ELSE 'deleted' END AS kind, id, updated_at AS changed_at
+        FROM products WHERE shop_id = $1
+        UNION ALL
+        SELECT 'deleted', entity_id, deleted_at FROM deleted_records WHERE shop_id = $1 AND entity = 'product'
+      ) changes
+      WHERE changed_at < CURRENT_TIMESTAMP - make_interval(secs => $2)
+        AND ($3::timestamptz IS NULL OR (changed_at, id) > ($3::timestamptz, $4::uuid))
+      ORDER BY changed_at, id
+      LIMIT $5
+    `, [req.user.shop_id, SYNC_SETTLE_SECONDS, cursor && cursor.changedAt, cursor && cursor.id, limit + 1]);
+    const changes = changesResult.rows.slice(0, limit);
+    const productIds = changes.filter(change => change.kind === 'product').map(change => change.id);
+    // A product archived since the changes were read is left out here; the
+    // delete arrives with a later pull
+    const productsResult = productIds.length > 0
+      ? await pool.query(`
+        SELECT p.*, ${productBarcodesJson("p")} as barcodes FROM products p
+        WHERE p.id = ANY($1) AND p.shop_id = $2 AND p.archived_at IS NULL
+        ORDER BY p.updated_at, p.id
+      `, [productIds, req.user.shop_id])
+      : { rows: [] };
+    const last = changes[changes.length - 1];
+    res.json({
+      products: productsResult.rows,
+      deleted: changes
+        .filter(change => change.kind === 'deleted')
+        .map(change => ({ id: change.id, deleted_at: change.changed_at })),
+      cursor: last ? encodeSyncCursor(last) : req.query.cursor || null,
+      has_more: changesResult.rows.length > limit
+    });
+  } catch (err) {
+    console.error("Error pulling product changes:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/sync/bills:
+ *   post:
+ *     summary: Push bills created offline
+ *     description: >
+ *       Each bill is created as by POST /api/bills and carries an id generated on the device. Pushing the same
+ *       client_id again returns the bill created the first time, so a batch can be retried safely after a dropped
+ *       connection. Bills are processed in order and independently; a rejected bill lists its conflicts, such as
+ *       products archived or re-priced since the device last synced, and can be pushed again once resolved, for
+ *       example with on_mismatch set to recompute.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bills
+ *             properties:
+ *               bills:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/BillInput'
+ *                     - type: object
+ *                       required:
+ *                         - client_id
+ *                       properties:
+ *                         client_id:
+ *                           type: string
+ *                           format: uuid
+ *                         created_at:
+ *                           type: string
+ *                           format: date-time
+ *                           description: When the sale was made on the device. Defaults to the time of the push.
+ *     responses:
+ *       200:
+ *         description: One result per bill, in request order, with status created, duplicate or rejected
+ */
+app.post("/api/sync/bills", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const results = [];
+    for (const bill of req.body.bills) {
+      results.push(await syncBill(client, req, bill));
+    }
+    res.json({ results });
+  } catch (err) {
+    console.error("Error syncing bills:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CustomerFields:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         phone:
+ *           type: string
+ *           pattern: '^\+?[0-9 ()-]{6,20}$'
+ *           nullable: true
+ *         gstin:
+ *           $ref: '#/components/schemas/Gstin'
+ *         address:
+ *           type: string
+ *           nullable: true
+ *     CustomerInput:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CustomerFields'
+ *         - type: object
+ *           required:
+ *             - name
+ */
+/**
+ * @swagger
+ * /api/customers:
+ *   get:
+ *     summary: Get customers with search and pagination
+ *     parameters:
+ *       - in: query
+ *         name: phone
+ *         schema:
+ *           type: string
+ *         description: Matches phone numbers starting with this value
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name, phone or GSTIN
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: List of customers
+ */
+app.get("/api/customers", async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const { phone, search } = req.query;
+    const conditions = ["shop_id = $1"];
+    const queryParams = [req.user.shop_id];
+    if (phone) {
+      conditions.push(`phone LIKE $${queryParams.length + 1}`);
+      queryParams.push(`${normalizePhone(phone)}%`);
+    }
+    if (search) {
+      const n = queryParams.length + 1;
+      conditions.push(`(name ILIKE $${n} OR phone LIKE $${n} OR gstin ILIKE $${n})`);
+      queryParams.push(`%${search}%`);
+    }
+    const whereClause = ` WHERE ${conditions.join(' AND ')}`;
+    const [customers, totalResult] = await Promise.all([
+      pool.query(
+        `SELECT * FROM customers${whereClause} ORDER BY name LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+        [...queryParams, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*) FROM customers${whereClause}`, queryParams)
+    ]);
+    res.json({
+      items: customers.rows,
+      total: parseInt(totalResult.rows[0].count),
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error("Error fetching customers:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/customers:
+ *   post:
+ *     summary: Create a customer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomerInput'
+ *     responses:
+ *       201:
+ *         description: Customer created
+ *       400:
+ *         description: Invalid customer or phone number already registered
+ */
+app.post("/api/customers", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { name, phone, gstin, address } = req.body;
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO customers (shop_id, name, phone, gstin, address)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [req.user.shop_id, name, normalizePhone(phone), gstin || null, address || null]);
+    await recordAudit(client, req, { entity: 'customer', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+    await client.query('COMMIT');
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error creating customer:", err);
+    if (err.code === '23505') {
+      res.status(400).json({ error: "Phone number already registered", code: "PHONE_EXISTS" });
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  } finally {
+    client.release();
+  }
+});
+// Helper function for a customer's bill count, spend net of returns and unpaid balance
+const customerStats = async (db, customerId, shopId) => {
+  const result = await db.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE b.status <> 'voided') as bill_count,
+      COALESCE(SUM(b.total_amount - COALESCE(cn.total_amount, 0)), 0) as lifetime_spend,
+      MAX(b.created_at) FILTER (WHERE b.status <> 'voided') as last_purchase_at,
+      COALESCE(SUM(b.total_amount - b.amount_credited - b.amount_paid) FILTER (WHERE b.status <> 'voided'), 0)
+        as outstanding
+    FROM bills b
+    LEFT JOIN (${BILL_CREDIT_TOTALS}) cn ON cn.bill_id = b.id
+    WHERE b.customer_id = $1 AND b.shop_id = $2
+  `, [customerId, shopId]);
+  return result.rows[0];
+};
+/**
+ * @swagger
+ * /api/customers/{id}:
+ *   get:
+ *     summary: Get a customer with lifetime spend and their last bill
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Customer details, purchase stats, outstanding credit and the items on their most recent bill
+ */
+app.get("/api/customers/:id", async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM customers WHERE id = $1 AND shop_id = $2",
+      [req.params.id, req.user.shop_id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+    const [stats, lastBillResult] = await Promise.all([
+      customerStats(pool, req.params.id, req.user.shop_id),
+      pool.query(`
+        SELECT id FROM bills
+        WHERE customer_id = $1 AND shop_id = $2 AND status <> 'voided'
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [req.params.id, req.user.shop_id])
+    ]);
+    const lastBill = lastBillResult.rows[0]
+      ? await fetchBill(pool, lastBillResult.rows[0].id, req.user.shop_id)
+      : null;
+    res.json({ ...result.rows[0], ...stats, last_bill: lastBill });
+  } catch (err) {
+    console.error("Error fetching customer:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/customers/{id}:
+ *   put:
+ *     summary: Update customer
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CustomerFields'
+ *               - type: object
+ *                 minProperties: 1
+ *     responses:
+ *       200:
+ *         description: Customer updated. Bills keep the GSTIN they were issued with.
+ */
+app.put("/api/customers/:id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+    if (updates.phone !== undefined) {
+      updates.phone = normalizePhone(updates.phone);
+    }
+    const allowedFields = ['name', 'phone', 'gstin', 'address'];
+    const fields = Object.keys(updates).filter(key =>
+      allowedFields.includes(key) && updates[key] !== undefined
+    );
+    if (fields.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+    const setClause = fields.map((field, index) => `${field} = $${index + 3}`).join(', ');
+    const values = [id, req.user.shop_id, ...fields.map(field => updates[field])];
+    await client.query('BEGIN');
+    const existing = await client.query(
+      "SELECT * FROM customers WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [id, req.user.shop_id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Customer not found" });
+    }
+    const result = await client.query(`
+      UPDATE customers
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND shop_id = $2
+      RETURNING *
+    `, values);
+    await recordAudit(client, req, {
+      entity: 'customer', entityId: id, action: 'update', before: existing.rows[0], after: result.rows[0]
+    });
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error updating customer:", err);
+    if (err.code === '23505') {
+      res.status(400).json({ error: "Phone number already registered", code: "PHONE_EXISTS" });
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/customers/{id}/bills:
+ *   get:
+ *     summary: Get a customer's purchase history
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Bills with items, newest first, plus the customer's lifetime spend net of returns
+ */
+app.get("/api/customers/:id/bills", async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const customerResult = await pool.query(
+      "SELECT id FROM customers WHERE id = $1 AND shop_id = $2",
+      [req.params.id, req.user.shop_id]
+    );
+    if (customerResult.rows.length === 0) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+    const [bills, totalResult, stats] = await Promise.all([
+      pool.query(`
+        SELECT
+          b.*,
+          ${BILL_ITEMS_JSON} as items
+        FROM bills b
+        LEFT JOIN bill_items bi ON b.id = bi.bill_id
+        WHERE b.customer_id = $1 AND b.shop_id = $2
+        GROUP BY b.id
+        ORDER BY b.created_at DESC
+        LIMIT $3 OFFSET $4
+      `, [req.params.id, req.user.shop_id, limit, offset]),
+      pool.query(
+        "SELECT COUNT(*) FROM bills WHERE customer_id = $1 AND shop_id = $2",
+        [req.params.id, req.user.shop_id]
+      ),
+      customerStats(pool, req.params.id, req.user.shop_id)
+    ]);
+    res.json({
+      items: bills.rows,
+      total: parseInt(totalResult.rows[0].count),
+      page,
+      limit,
+      ...stats
+    });
+  } catch (err) {
+    console.error("Error fetching customer bills:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromotionFields:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         type:
+ *           type: string
+ *           enum: [percent, flat, buy_x_get_y]
+ *           description: percent and flat discount the bill, or with product_id/category only those lines (percent only). buy_x_get_y gives get_quantity free units for every buy_quantity bought.
+ *         value:
+ *           type: number
+ *           minimum: 0
+ *           description: Percentage for percent promotions, amount off for flat ones
+ *         category:
+ *           type: string
+ *           nullable: true
+ *         product_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         buy_quantity:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *         get_quantity:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *         min_bill_amount:
+ *           type: number
+ *           minimum: 0
+ *         coupon_code:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9_-]+$'
+ *           nullable: true
+ *           description: Only applies when the bill sends this code. Stored upper case.
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         usage_limit:
+ *           type: integer
+ *           minimum: 1
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ *     PromotionInput:
+ *       allOf:
+ *         - $ref: '#/components/schemas/PromotionFields'
+ *         - type: object
+ *           required:
+ *             - name
+ *             - type
+ */
+const PROMOTION_FIELDS = [
+  'name', 'type', 'value', 'category', 'product_id', 'buy_quantity', 'get_quantity',
+  'min_bill_amount', 'coupon_code', 'starts_at', 'ends_at', 'usage_limit', 'active'
+];
+// Helper function for the rules between promotion fields that the schema cannot express
+const promotionRuleError = (promotion) => {
+  if (promotion.type === 'percent' && !(Number(promotion.value) > 0 && Number(promotion.value) <= 100)) {
+    return "Percent promotions need a value between 0 and 100";
+  }
+  if (promotion.type === 'flat' && !(Number(promotion.value) > 0)) {
+    return "Flat promotions need a value above 0";
+  }
+  if (promotion.type === 'flat' && (promotion.category || promotion.product_id)) {
+    return "Flat promotions apply to the whole bill and cannot target a category or product";
+  }
+  if (promotion.type === 'buy_x_get_y' && !(promotion.buy_quantity && promotion.get_quantity)) {
+    return "Buy X get Y promotions need buy_quantity and get_quantity";
+  }
+  if (promotion.starts_at && promotion.ends_at && new Date(promotion.starts_at) >= new Date(promotion.ends_at)) {
+    return "ends_at must be after starts_at";
+  }
+  return null;
+};
+// Helper function for checking a promotion's product belongs to the shop and is not archived
+const promotionProductExists = async (db, productId, shopId) => {
+  if (!productId) {
+    return true;
+  }
+  const result = await db.query(
+    "SELECT 1 FROM products WHERE id = $1 AND shop_id = $2 AND archived_at IS NULL",
+    [productId, shopId]
+  );
+  return result.rows.length > 0;
+};
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: Get promotions
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only promotions that are switched on and inside their validity window
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: List of promotions
+ */
+app.get("/api/promotions", async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    let whereClause = " WHERE shop_id = $1";
+    if (req.query.active === 'true') {
+      whereClause += ` AND active
+        AND (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP)
+        AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)
+        AND (usage_limit IS NULL OR usage_count < usage_limit)`;
+    }
+    const [promotions, totalResult] = await Promise.all([
+      pool.query(
+        `SELECT * FROM promotions${whereClause} ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+        [req.user.shop_id, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*) FROM promotions${whereClause}`, [req.user.shop_id])
+    ]);
+    res.json({
+      items: promotions.rows,
+      total: parseInt(totalResult.rows[0].count),
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error("Error fetching promotions:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Create a promotion or coupon
+ *     x-permission: promotions:write
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionInput'
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *       400:
+ *         description: Invalid promotion, unknown product or coupon code already in use
+ */
+app.post("/api/promotions", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const promotion = { ...req.body };
+    if (promotion.coupon_code) {
+      promotion.coupon_code = promotion.coupon_code.toUpperCase();
+    }
+    const ruleError = promotionRuleError(promotion);
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
+    if (!(await promotionProductExists(client, promotion.product_id, req.user.shop_id))) {
+      return res.status(400).json({ error: "Unknown product" });
+    }
+    const fields = PROMOTION_FIELDS.filter(field => promotion[field] !== undefined);
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO promotions (shop_id, ${fields.join(', ')})
+      VALUES ($1, ${fields.map((field, index) => `$${index + 2}`).join(', ')})
+      RETURNING *
+    `, [req.user.shop_id, ...fields.map(field => promotion[field])]);
+    await recordAudit(client, req, { entity: 'promotion', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+    await client.query('COMMIT');
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error creating promotion:", err);
+    if (err.code === '23505') {
+      res.status(400).json({ error: "Coupon code already exists", code: "COUPON_EXISTS" });
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   get:
+ *     summary: Get promotion by ID
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Promotion details
+ */
+app.get("/api/promotions/:id", async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM promotions WHERE id = $1 AND shop_id = $2",
+      [req.params.id, req.user.shop_id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Error fetching promotion:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   put:
+ *     summary: Update promotion
+ *     x-permission: promotions:write
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PromotionFields'
+ *               - type: object
+ *                 minProperties: 1
+ *     responses:
+ *       200:
+ *         description: Promotion updated. Bills already issued keep their discounts.
+ */
+app.put("/api/promotions/:id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const updates = { ...req.body };
+    if (updates.coupon_code) {
+      updates.coupon_code = updates.coupon_code.toUpperCase();
+    }
+    const fields = PROMOTION_FIELDS.filter(field => updates[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+    await client.query('BEGIN');
+    const existing = await client.query(
+      "SELECT * FROM promotions WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [id, req.user.shop_id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+    const ruleError = promotionRuleError({ ...existing.rows[0], ...updates });
+    if (ruleError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: ruleError });
+    }
+    if (!(await promotionProductExists(client, updates.product_id, req.user.shop_id))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Unknown product" });
+    }
+    const setClause = fields.map((field, index) => `${field} = $${index + 3}`).join(', ');
+    const result = await client.query(`
+      UPDATE promotions
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND shop_id = $2
+      RETURNING *
+    `, [id, req.user.shop_id, ...fields.map(field => updates[field])]);
+    await recordAudit(client, req, {
+      entity: 'promotion', entityId: id, action: 'update', before: existing.rows[0], after: result.rows[0]
+    });
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error updating promotion:", err);
+    if (err.code === '23505') {
+      res.status(400).json({ error: "Coupon code already exists", code: "COUPON_EXISTS" });
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   delete:
+ *     summary: Delete promotion
+ *     x-permission: promotions:write
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Promotion deleted. Bills keep the promotion's name on their discounts.
+ */
+app.delete("/api/promotions/:id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      "DELETE FROM promotions WHERE id = $1 AND shop_id = $2 RETURNING *",
+      [req.params.id, req.user.shop_id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Promotion not found" });
+    }
+    await recordAudit(client, req, { entity: 'promotion', entityId: req.params.id, action: 'delete', before: result.rows[0] });
+    await client.query('COMMIT');
+    res.json({ message: "Promotion deleted successfully" });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error deleting promotion:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SupplierFields:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           minLength: 1
+ *         contact_name:
+ *           type: string
+ *           nullable: true
+ *         phone:
+ *           type: string
+ *           pattern: '^\+?[0-9 ()-]{6,20}$'
+ *           nullable: true
+ *         email:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *         gstin:
+ *           $ref: '#/components/schemas/Gstin'
+ *         address:
+ *           type: string
+ *           nullable: true
+ *     SupplierInput:
+ *       allOf:
+ *         - $ref: '#/components/schemas/SupplierFields'
+ *         - type: object
+ *           required:
+ *             - name
+ */
+const SUPPLIER_FIELDS = ['name', 'contact_name', 'phone', 'email', 'gstin', 'address'];
+/**
+ * @swagger
+ * /api/suppliers:
+ *   get:
+ *     summary: Get suppliers with search and pagination
+ *     x-permission: purchasing:manage
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name, contact name, phone or GSTIN
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: List of suppliers
+ */
+app.get("/api/suppliers", async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const conditions = ["shop_id = $1"];
+    const queryParams = [req.user.shop_id];
+    if (req.query.search) {
+      const n = queryParams.length + 1;
+      conditions.push(`(name ILIKE $${n} OR contact_name ILIKE $${n} OR phone LIKE $${n} OR gstin ILIKE $${n})`);
+      queryParams.push(`%${req.query.search}%`);
+    }
+    const whereClause = ` WHERE ${conditions.join(' AND ')}`;
+    const [suppliers, totalResult] = await Promise.all([
+      pool.query(
+        `SELECT * FROM suppliers${whereClause} ORDER BY name LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+        [...queryParams, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*) FROM suppliers${whereClause}`, queryParams)
+    ]);
+    res.json({
+      items: suppliers.rows,
+      total: parseInt(totalResult.rows[0].count),
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error("Error fetching suppliers:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/suppliers:
+ *   post:
+ *     summary: Create a supplier
+ *     x-permission: purchasing:manage
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SupplierInput'
+ *     responses:
+ *       201:
+ *         description: Supplier created
+ */
+app.post("/api/suppliers", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const supplier = { ...req.body, phone: normalizePhone(req.body.phone) };
+    const fields = SUPPLIER_FIELDS.filter(field => supplier[field] !== undefined);
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO suppliers (shop_id, ${fields.join(', ')})
+      VALUES ($1, ${fields.map((field, index) => `$${index + 2}`).join(', ')})
+      RETURNING *
+    `, [req.user.shop_id, ...fields.map(field => supplier[field])]);
+    await recordAudit(client, req, { entity: 'supplier', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+    await client.query('COMMIT');
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error creating supplier:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   get:
+ *     summary: Get a supplier with their purchase totals
+ *     x-permission: purchasing:manage
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Supplier details, open purchase orders and the value of goods received from them
+ *       404:
+ *         description: Supplier not found
+ */
+app.get("/api/suppliers/:id", async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM suppliers WHERE id = $1 AND shop_id = $2",
+      [req.params.id, req.user.shop_id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Supplier not found" });
+    }
+    const statsResult = await pool.query(`
+      SELECT
+        (SELECT COUNT(*) FROM purchase_orders
+          WHERE supplier_id = $1 AND status IN ('open', 'partially_received')) as open_orders,
+        (SELECT COALESCE(ROUND(SUM(quantity * unit_cost), 2), 0) FROM product_costs
+          WHERE supplier_id = $1) as received_value,
+        (SELECT MAX(created_at) FROM product_costs WHERE supplier_id = $1) as last_received_at
+    `, [req.params.id]);
+    res.json({ ...result.rows[0], ...statsResult.rows[0], open_orders: parseInt(statsResult.rows[0].open_orders) });
+  } catch (err) {
+    console.error("Error fetching supplier:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   put:
+ *     summary: Update supplier
+ *     x-permission: purchasing:manage
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SupplierFields'
+ *               - type: object
+ *                 minProperties: 1
+ *     responses:
+ *       200:
+ *         description: Supplier updated
+ *       404:
+ *         description: Supplier not found
+ */
+app.put("/api/suppliers/:id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+    if (updates.phone !== undefined) {
+      updates.phone = normalizePhone(updates.phone);
+    }
+    const fields = SUPPLIER_FIELDS.filter(field => updates[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+    const setClause = fields.map((field, index) => `${field} = $${index + 3}`).join(', ');
+    await client.query('BEGIN');
+    const existing = await client.query(
+      "SELECT * FROM suppliers WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [id, req.user.shop_id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Supplier not found" });
+    }
+    const result = await client.query(`
+      UPDATE suppliers
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND shop_id = $2
+      RETURNING *
+    `, [id, req.user.shop_id, ...fields.map(field => updates[field])]);
+    await recordAudit(client, req, {
+      entity: 'supplier', entityId: id, action: 'update', before: existing.rows[0], after: result.rows[0]
+    });
+    await client.query('COMMIT');
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error updating supplier:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+// expected_on is a calendar day; selected after po.* as text so the driver does
+// not turn it into a timestamp at local midnight
+const EXPECTED_ON_SQL = "to_char(po.expected_on, 'YYYY-MM-DD') as expected_on";
+// Helper function for loading one of a shop's purchase orders with its supplier
+// and lines. Each line carries what is still to be received.
+const fetchPurchaseOrder = async (db, purchaseOrderId, shopId) => {
+  const result = await db.query(`
+    SELECT
+      po.*,
+      ${EXPECTED_ON_SQL},
+      json_build_object('id', s.id, 'name', s.name, 'gstin', s.gstin) as supplier,
+      COALESCE((
+        SELECT json_agg(json_build_object(
+          'id', poi.id,
+          'product_id', poi.product_id,
+          'name', p.name,
+          'sku', p.sku,
+          'unit', p.unit,
+          'quantity', poi.quantity,
+          'received_quantity', poi.received_quantity,
+          'pending_quantity', poi.quantity - poi.received_quantity,
+          'unit_cost', poi.unit_cost
+        ) ORDER BY p.name, poi.id)
+        FROM purchase_order_items poi
+        JOIN products p ON p.id = poi.product_id
+        WHERE poi.purchase_order_id = po.id
+      ), '[]') as items,
+      (
+        SELECT ROUND(SUM(poi.quantity * poi.unit_cost), 2)
+        FROM purchase_order_items poi
+        WHERE poi.purchase_order_id = po.id
+      ) as total_cost
+    FROM purchase_orders po
+    JOIN suppliers s ON s.id = po.supplier_id
+    WHERE po.id = $1 AND po.shop_id = $2
+  `, [purchaseOrderId, shopId]);
+  return result.rows[0] || null;
+};
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   get:
+ *     summary: Get purchase orders, newest first
+ *     x-permission: purchasing:manage
+ *     parameters:
+ *       - in: query
+ *         name: supplier_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, partially_received, received, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Purchase orders with their supplier name, line count and ordered value
+ */
+app.get("/api/purchase-orders", async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const queryParams = [req.user.shop_id];
+    const conditions = ["po.shop_id = $1"];
+    for (const field of ['supplier_id', 'status']) {
+      if (req.query[field]) {
+        queryParams.push(req.query[field]);
+        conditions.push(`po.${field} = $${queryParams.length}`);
+      }
+    }
+    const whereClause = ` WHERE ${conditions.join(' AND ')}`;
+    const [orders, totalResult] = await Promise.all([
+      pool.query(`
+        SELECT
+          po.*,
+          ${EXPECTED_ON_SQL},
+          s.name as supplier_name,
+          COUNT(poi.id) as item_count,
+          ROUND(SUM(poi.quantity * poi.unit_cost), 2) as total_cost
+        FROM purchase_orders po
+        JOIN suppliers s ON s.id = po.supplier_id
+        LEFT JOIN purchase_order_items poi ON poi.purchase_order_id = po.id
+        ${whereClause}
+        GROUP BY po.id, s.id
+        ORDER BY po.created_at DESC, po.id
+        LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+      `, [...queryParams, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM purchase_orders po${whereClause}`, queryParams)
+    ]);
+    res.json({
+      items: orders.rows.map(order => ({ ...order, item_count: parseInt(order.item_count) })),
+      total: parseInt(totalResult.rows[0].count),
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error("Error fetching purchase orders:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   post:
+ *     summary: Place a purchase order with a supplier
+ *     x-permission: purchasing:manage
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplier_id
+ *               - items
+ *             properties:
+ *               supplier_id:
+ *                 type: string
+ *                 format: uuid
+ *               expected_on:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               note:
+ *                 type: string
+ *                 nullable: true
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 200
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - product_id
+ *                     - quantity
+ *                   properties:
+ *                     product_id:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: number
+ *                       minimum: 0.001
+ *                       multipleOf: 0.001
+ *                       description: Whole numbers unless the product is sold by kg, l or m
+ *                     unit_cost:
+ *                       type: number
+ *                       minimum: 0
+ *                       multipleOf: 0.01
+ *                       description: Agreed cost per unit, used when goods are received without one
+ *     responses:
+ *       201:
+ *         description: Purchase order created with the next PO number
+ *       400:
+ *         description: Unknown supplier or products, archived products, products with variants or fractional quantities of whole units
+ */
+app.post("/api/purchase-orders", async (req, res) => {
+  const { supplier_id, expected_on, note, items } = req.body;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const supplierResult = await client.query(
+      "SELECT id FROM suppliers WHERE id = $1 AND shop_id = $2",
+      [supplier_id, req.user.shop_id]
+    );
+    if (supplierResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Unknown supplier" });
+    }
+    const productIds = [...new Set(items.map(item => item.product_id))];
+    const productsResult = await client.query(
+      `SELECT id, unit, archived_at, ${HAS_VARIANTS_SQL} AS has_variants
+       FROM products
+       WHERE id = ANY($1) AND shop_id = $2`,
+      [productIds, req.user.shop_id]
+    );
+    const products = new Map(productsResult.rows.map(product => [String(product.id), product]));
+    const problems = [
+      [id => !products.has(id), { error: "Unknown products" }],
+      [id => products.get(id).archived_at, { error: "Archived products cannot be ordered", code: "PRODUCT_ARCHIVED" }],
+      [id => products.get(id).has_variants, { error: "Products with variants are ordered by variant", code: "VARIANT_REQUIRED" }],
+      [id => items.some(item => item.product_id === id && !quantityAllowed(item.quantity, products.get(id).unit)), {
+        error: `Only products sold by ${FRACTIONAL_UNITS.join(', ')} take fractional quantities`,
+        code: "INVALID_QUANTITY"
+      }]
+    ];
+    for (const [test, body] of problems) {
+      const failing = productIds.filter(test);
+      if (failing.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ ...body, product_ids: failing });
+      }
+    }
+    // Taking the next PO number locks the shop row, so numbers stay gapless
+    const numberResult = await client.query(`
+      UPDATE users SET last_purchase_order_number = last_purchase_order_number + 1
+      WHERE id = $1
+      RETURNING last_purchase_order_number
+    `, [req.user.shop_id]);
+    const orderResult = await client.query(`
+      INSERT INTO purchase_orders (shop_id, supplier_id, po_number, expected_on, note, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [
+      req.user.shop_id, supplier_id, numberResult.rows[0].last_purchase_order_number,
+      expected_on || null, note || null, req.user.id
+    ]);
+    const orderId = orderResult.rows[0].id;
+    await client.query(`
+      INSERT INTO purchase_order_items (purchase_order_id, product_id, quantity, unit_cost)
+      SELECT $1, item.product_id, item.quantity, item.unit_cost
+      FROM json_to_recordset($2::json) AS item(product_id UUID, quantity NUMERIC, unit_cost NUMERIC)
+    `, [orderId, JSON.stringify(items)]);
+    const order = await fetchPurchaseOrder(client, orderId, req.user.shop_id);
+    await recordAudit(client, req, { entity: 'purchase_order', entityId: orderId, action: 'create', after: order });
+    await client.query('COMMIT');
+    res.status(201).json(order);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error creating purchase order:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   get:
+ *     summary: Get a purchase order with its lines
+ *     x-permission: purchasing:manage
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Purchase order with supplier, ordered, received and pending quantities
+ *       404:
+ *         description: Purchase order not found
+ */
+app.get("/api/purchase-orders/:id", async (req, res) => {
+  try {
+    const order = await fetchPurchaseOrder(pool, req.params.id, req.user.shop_id);
+    if (!order) {
+      return res.status(404).json({ error: "Purchase order not found" });
+    }
+    res.json(order);
+  } catch (err) {
+    console.error("Error fetching purchase order:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/receive:
+ *   post:
+ *     summary: Receive goods against a purchase order
+ *     description: >
+ *       Adds the received quantities to stock as purchase movements and records what they cost. Each receipt
+ *       updates the product's moving average cost, which new bills copy to report gross margin. Goods can
+ *       arrive over several deliveries; the order is received once every line is.
+ *     x-permission: purchasing:manage
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - purchase_order_item_id
+ *                     - quantity
+ *                   properties:
+ *                     purchase_order_item_id:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: number
+ *                       minimum: 0.001
+ *                       multipleOf: 0.001
+ *                     unit_cost:
+ *                       type: number
+ *                       minimum: 0
+ *                       multipleOf: 0.01
+ *                       description: Cost per unit on the supplier's invoice. Defaults to the cost on the order line.
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The purchase order after the receipt
+ *       400:
+ *         description: Unknown lines, more than is pending, fractional quantities of whole units or a missing cost
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: Purchase order is already received or cancelled
+ */
+app.post("/api/purchase-orders/:id/receive", async (req, res) => {
+  const { items, note } = req.body;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const orderResult = await client.query(
+      "SELECT * FROM purchase_orders WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [req.params.id, req.user.shop_id]
+    );
+    const order = orderResult.rows[0];
+    if (!order) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Purchase order not found" });
+    }
+    if (order.status === 'received' || order.status === 'cancelled') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Purchase order is already ${order.status}` });
+    }
+    const before = await fetchPurchaseOrder(client, order.id, req.user.shop_id);
+    const linesResult = await client.query(`
+      SELECT poi.*, p.unit
+      FROM purchase_order_items poi
+      JOIN products p ON p.id = poi.product_id
+      WHERE poi.purchase_order_id = $1
+      ORDER BY poi.product_id
+      FOR UPDATE OF poi, p
+    `, [order.id]);
+    const lines = new Map(linesResult.rows.map(line => [String(line.id), line]));
+    const requested = items.map(item => String(item.purchase_order_item_id));
+    const unknown = requested.filter((id, i) => !lines.has(id) || requested.indexOf(id) !== i);
+    if (unknown.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Unknown or repeated purchase order lines", purchase_order_item_ids: unknown });
+    }
+    const problems = [
+      [item => toMilli(item.quantity) > toMilli(lines.get(item.purchase_order_item_id).quantity) -
+        toMilli(lines.get(item.purchase_order_item_id).received_quantity),
+      { error: "Cannot receive more than is pending", code: "OVER_RECEIPT" }],
+      [item => !quantityAllowed(item.quantity, lines.get(item.purchase_order_item_id).unit), {
+        error: `Only products sold by ${FRACTIONAL_UNITS.join(', ')} take fractional quantities`,
+        code: "INVALID_QUANTITY"
+      }],
+      [item => item.unit_cost === undefined && lines.get(item.purchase_order_item_id).unit_cost === null,
+        { error: "unit_cost is required for lines ordered without a cost", code: "COST_REQUIRED" }]
+    ];
+    for (const [test, body] of problems) {
+      const failing = items.filter(test).map(item => item.purchase_order_item_id);
+      if (failing.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ ...body, purchase_order_item_ids: failing });
+      }
+    }
+    for (const item of items) {
+      const line = lines.get(item.purchase_order_item_id);
+      const unitCost = item.unit_cost !== undefined ? item.unit_cost : Number(line.unit_cost);
+      await recordProductCost(client, {
+        shopId: req.user.shop_id,
+        productId: line.product_id,
+        purchaseOrderId: order.id,
+        supplierId: order.supplier_id,
+        quantity: item.quantity,
+        unitCost,
+        createdBy: req.user.id
+      });
+      await recordStockMovement(client, {
+        shopId: req.user.shop_id,
+        productId: line.product_id,
+        type: 'purchase',
+        quantity: item.quantity,
+        purchaseOrderId: order.id,
+        note: note || `PO ${order.po_number}`,
+        createdBy: req.user.id
+      });
+      await client.query(`
+        UPDATE purchase_order_items
+        SET received_quantity = received_quantity + $2, unit_cost = COALESCE(unit_cost, $3)
+        WHERE id = $1
+      `, [line.id, item.quantity, unitCost]);
+    }
+    await client.query(`
+      UPDATE purchase_orders
+      SET status = CASE
+          WHEN EXISTS (
+            SELECT 1 FROM purchase_order_items WHERE purchase_order_id = $1 AND received_quantity < quantity
+          ) THEN 'partially_received'
+          ELSE 'received'
+        END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [order.id]);
+    const after = await fetchPurchaseOrder(client, order.id, req.user.shop_id);
+    await recordAudit(client, req, { entity: 'purchase_order', entityId: order.id, action: 'receive', before, after });
+    await client.query('COMMIT');
+    res.json(after);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error receiving purchase order:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel the rest of a purchase order
+ *     description: Goods already received stay in stock. Nothing more can be received against the order.
+ *     x-permission: purchasing:manage
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Purchase order cancelled
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: Purchase order is already received or cancelled
+ */
+app.post("/api/purchase-orders/:id/cancel", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query(
+      "SELECT * FROM purchase_orders WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [req.params.id, req.user.shop_id]
+    );
+    const order = existing.rows[0];
+    if (!order) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Purchase order not found" });
+    }
+    if (order.status === 'received' || order.status === 'cancelled') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Purchase order is already ${order.status}` });
+    }
+    const result = await client.query(
+      "UPDATE purchase_orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+      [order.id]
+    );
+    await recordAudit(client, req, {
+      entity: 'purchase_order', entityId: order.id, action: 'cancel', before: order, after: result.rows[0]
+    });
+    await client.query('COMMIT');
+    res.json(await fetchPurchaseOrder(pool, order.id, req.user.shop_id));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error cancelling purchase order:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+// Helper function for checking an IANA timezone name such as Asia/Kolkata
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+// Helper function for the shop and date filter of sales queries. start and end
+// are days in the given timezone; local() converts a timestamp column to it.
+const salesFilter = (shopId, timezone, start, end) => {
+  const params = [shopId];
+  let timezoneRef = null;
+  const local = (column) => {
+    if (!timezoneRef) {
+      params.push(timezone);
+      timezoneRef = `$${params.length}`;
+    }
+    return `(${column} AT TIME ZONE ${timezoneRef})`;
+  };
+  const conditions = ["b.shop_id = $1"];
+  if (start) {
+    conditions.push(`${local("b.created_at")}::date >= $${params.length + 1}`);
+    params.push(start);
+  }
+  if (end) {
+    conditions.push(`${local("b.created_at")}::date <= $${params.length + 1}`);
+    params.push(end);
+  }
+  return { whereClause: ` WHERE ${conditions.join(' AND ')}`, params, local };
+};
+// Revenue of the bill line aliased bi net of its discount and returns, and
+// what the units that were kept cost. The cost is null for lines sold before
+// their product was first received against a purchase order.
+const LINE_REVENUE_SQL = "(ROUND(bi.price * bi.quantity, 2) - bi.discount) * (bi.quantity - bi.returned_quantity) / bi.quantity";
+const LINE_COST_SQL = "bi.unit_cost * (bi.quantity - bi.returned_quantity)";
+// Sales analytics buckets. Bill-level groups count whole bills; item-level
+// groups split bills by their lines. Time series buckets (those with a unit)
+// compare with the bucket before them, the rest with the previous period.
+const SALES_GROUPS = {
+  day: { level: 'bill', unit: 'day', key: local => `to_char(${local("b.created_at")}, 'YYYY-MM-DD')` },
+  week: { level: 'bill', unit: 'week', key: local => `to_char(date_trunc('week', ${local("b.created_at")}), 'YYYY-MM-DD')` },
+  month: { level: 'bill', unit: 'month', key: local => `to_char(${local("b.created_at")}, 'YYYY-MM')` },
+  hour: { level: 'bill', key: local => `EXTRACT(HOUR FROM ${local("b.created_at")})::int` },
+  cashier: { level: 'bill', key: () => "COALESCE(b.created_by::text, b.created_by_name)", label: `MAX(${CASHIER_NAME_SQL})` },
+  category: { level: 'item', key: () => "p.category" },
+  product: { level: 'item', key: () => "bi.product_id::text", label: "COALESCE(MAX(p.name), MAX(bi.name))" }
+};
+// Helper function for moving a YYYY-MM-DD day by whole days, weeks or months
+const shiftDay = (day, unit, count) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  if (unit === 'month') {
+    date.setUTCMonth(date.getUTCMonth() + count);
+  } else {
+    date.setUTCDate(date.getUTCDate() + count * (unit === 'week' ? 7 : 1));
+  }
+  return date.toISOString().slice(0, 10);
+};
+// Helper function for loading sales totals per bucket, net of returns
+const salesBuckets = async (shopId, group, timezone, start, end) => {
+  const { whereClause, params, local } = salesFilter(shopId, timezone, start, end);
+  const key = group.key(local);
+  const result = await pool.query(group.level === 'bill' ? `
+    SELECT
+      ${key} as key,
+      ${group.label || "NULL"} as label,
+      COUNT(*) FILTER (WHERE b.status <> 'voided') as bills,
+      COALESCE(SUM(b.total_amount - COALESCE(cn.total_amount, 0)), 0) as sales,
+      COALESCE(SUM(bi.items), 0) as items_sold
+    FROM bills b
+    LEFT JOIN (${BILL_CREDIT_TOTALS}) cn ON cn.bill_id = b.id
+    LEFT JOIN users staff ON staff.id = b.created_by
+    LEFT JOIN LATERAL (
+      SELECT SUM(quantity - returned_quantity) as items FROM bill_items WHERE bill_id = b.id
+    ) bi ON true
+    ${whereClause}
+    GROUP BY 1
+  ` : `
+    SELECT
+      ${key} as key,
+      ${group.label || "NULL"} as label,
+      COUNT(DISTINCT b.id) FILTER (WHERE bi.returned_quantity < bi.quantity) as bills,
+      ROUND(COALESCE(SUM((ROUND(bi.price * bi.quantity, 2) - bi.discount) * (bi.quantity - bi.returned_quantity) / bi.quantity), 0), 2) as sales,
+      COALESCE(SUM(bi.quantity - bi.returned_quantity), 0) as items_sold
+    FROM bills b
+    JOIN bill_items bi ON b.id = bi.bill_id
+    LEFT JOIN products p ON p.id = bi.product_id
+    ${whereClause}
+    GROUP BY 1
+  `, params);
+  return result.rows.map(row => {
+    const bills = parseInt(row.bills);
+    const sales = toPaise(row.sales);
+    return {
+      key: row.key,
+      ...(group.label ? { label: row.label } : {}),
+      bills,
+      sales: fromPaise(sales),
+      items_sold: Number(row.items_sold),
+      average_bill_value: bills > 0 ? fromPaise(Math.round(sales / bills)) : 0
+    };
+  });
+};
+// Helper function for the bill totals of a salesFilter period. Returns and
+// voids are netted out against the bills they were issued for.
+const salesTotals = async (whereClause, params) => {
+  const result = await pool.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE b.status <> 'voided') as total_bills,
+      SUM(b.total_amount - COALESCE(cn.total_amount, 0)) as total_sales,
+      SUM(b.total_savings - COALESCE(cn.total_savings, 0)) as total_savings,
+      SUM(b.total_mrp - COALESCE(cn.total_mrp, 0)) as total_mrp,
+      COALESCE(SUM(cn.total_amount), 0) as total_returns
+    FROM bills b
+    LEFT JOIN (${BILL_CREDIT_TOTALS}) cn ON cn.bill_id = b.id
+    ${whereClause}
+  `, params);
+  return result.rows[0];
+};
+// Helper function for the best sellers of a salesFilter period by net revenue
+const topSellingProducts = async (whereClause, params, limit) => {
+  const result = await pool.query(`
+    SELECT
+      bi.product_id,
+      COALESCE(MAX(p.name), MAX(bi.name)) as product_name,
+      BOOL_OR(p.archived_at IS NOT NULL) as archived,
+      SUM(bi.quantity - bi.returned_quantity) as total_quantity,
+      ROUND(SUM(${LINE_REVENUE_SQL}), 2) as total_revenue,
+      ROUND(SUM(bi.mrp * (bi.quantity - bi.returned_quantity)), 2) as total_mrp_value,
+      ROUND(SUM(${LINE_COST_SQL}), 2) as total_cost,
+      ROUND(SUM(${LINE_REVENUE_SQL} - ${LINE_COST_SQL}) FILTER (WHERE bi.unit_cost IS NOT NULL), 2) as gross_margin
+    FROM bills b
+    JOIN bill_items bi ON b.id = bi.bill_id
+    LEFT JOIN products p ON p.id = bi.product_id
+    ${whereClause}
+    GROUP BY bi.product_id
+    HAVING SUM(bi.quantity - bi.returned_quantity) > 0
+    ORDER BY total_revenue DESC
+    LIMIT $${params.length + 1}
+  `, [...params, limit]);
+  return result.rows;
+};
+/**
+ * @swagger
+ * /api/sales/summary:
+ *   get:
+ *     summary: Get sales summary and analytics
+ *     x-permission: reports:read
+ *     parameters:
+ *       - in: query
+ *         name: start
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to include, in the requested timezone
+ *       - in: query
+ *         name: end
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day to include, in the requested timezone
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [product, category, cashier, day, week, month, hour]
+ *         description: Adds buckets with bills, sales, items sold and average bill value. day, week and month buckets are compared with the bucket before them; the others with the same bucket over the previous period of equal length, which needs both start and end.
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         description: IANA timezone used for date filters and time buckets. Defaults to the shop timezone.
+ *     responses:
+ *       200:
+ *         description: >
+ *           Sales summary, net of returns and voided bills, with the discount given per promotion. gross_margin
+ *           is sale price minus the average cost of goods received through purchase orders, over the lines
+ *           that had a cost when sold; sales of products never received are reported as uncosted_sales.
+ *       400:
+ *         description: Unknown timezone
+ */
+app.get("/api/sales/summary", async (req, res) => {
+  try {
+    const { start, end, groupBy } = req.query;
+    const timezone = req.query.timezone || SHOP_TIMEZONE;
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: "Unknown timezone" });
+    }
+    const { whereClause, params: queryParams } = salesFilter(req.user.shop_id, timezone, start, end);
+    const totals = await salesTotals(whereClause, queryParams);
+    // Margin covers lines whose product had a cost when sold; the rest is uncosted_sales
+    const itemsResult = await pool.query(`
+      SELECT
+        SUM(bi.quantity - bi.returned_quantity) as total_items_sold,
+        ROUND(SUM(${LINE_COST_SQL}), 2) as total_cost,
+        ROUND(SUM(${LINE_REVENUE_SQL} - ${LINE_COST_SQL}) FILTER (WHERE bi.unit_cost IS NOT NULL), 2) as gross_margin,
+        ROUND(SUM(${LINE_REVENUE_SQL}) FILTER (WHERE bi.unit_cost IS NOT NULL), 2) as costed_sales,
+        COALESCE(ROUND(SUM(${LINE_REVENUE_SQL}) FILTER (WHERE bi.unit_cost IS NULL), 2), 0) as uncosted_sales
+      FROM bills b
+      JOIN bill_items bi ON b.id = bi.bill_id
+      ${whereClause}
+    `, queryParams);
+    const topProducts = await topSellingProducts(whereClause, queryParams, 10);
+    // A returned unit gives back its share of the discount, like its revenue
+    const promotionsResult = await pool.query(`
+      SELECT
+        d.promotion_id,
+        d.promotion_name as name,
+        COUNT(DISTINCT b.id) FILTER (WHERE bi.returned_quantity < bi.quantity) as bills,
+        ROUND(SUM(d.amount * (bi.quantity - bi.returned_quantity) / bi.quantity), 2) as discount_given,
+        ROUND(SUM((ROUND(bi.price * bi.quantity, 2) - bi.discount) * (bi.quantity - bi.returned_quantity) / bi.quantity), 2) as revenue
+      FROM bills b
+      JOIN bill_items bi ON b.id = bi.bill_id
+      JOIN bill_item_discounts d ON d.bill_item_id = bi.id
+      ${whereClause}
+      GROUP BY d.promotion_id, d.promotion_name
+      ORDER BY discount_given DESC
+    `, queryParams);
+    const summary = totals || {
+      total_bills: 0, total_sales: 0, total_savings: 0, total_mrp: 0
+    };
+    const itemTotals = itemsResult.rows[0] || {};
+    summary.total_items_sold = itemTotals.total_items_sold || 0;
+    summary.total_cost = itemTotals.total_cost || null;
+    summary.gross_margin = itemTotals.gross_margin || null;
+    summary.gross_margin_pct = Number(itemTotals.costed_sales) > 0
+      ? Math.round(Number(itemTotals.gross_margin) / Number(itemTotals.costed_sales) * 1000) / 10
+      : null;
+    summary.uncosted_sales = itemTotals.uncosted_sales || 0;
+    summary.total_discount = fromPaise(promotionsResult.rows
+      .reduce((sum, promotion) => sum + toPaise(promotion.discount_given), 0));
+    const response = {
+      ...summary,
+      timezone,
+      top_products: topProducts,
+      promotions: promotionsResult.rows
+    };
+    if (groupBy) {
+      const group = SALES_GROUPS[groupBy];
+      const buckets = await salesBuckets(req.user.shop_id, group, timezone, start, end);
+      let previous = null;
+      let previousKey = bucketKey => bucketKey;
+      if (group.unit) {
+        // The range shifted back one unit holds the bucket before every bucket
+        previous = await salesBuckets(
+          req.user.shop_id, group, timezone,
+          start && shiftDay(start, group.unit, -1), end && shiftDay(end, group.unit, -1)
+        );
+        previousKey = bucketKey => (group.unit === 'month'
+          ? shiftDay(`${bucketKey}-01`, 'month', -1).slice(0, 7)
+          : shiftDay(bucketKey, group.unit, -1));
+      } else if (start && end) {
+        const days = Math.round((new Date(end) - new Date(start)) / 86400000) + 1;
+        previous = await salesBuckets(
+          req.user.shop_id, group, timezone, shiftDay(start, 'day', -days), shiftDay(end, 'day', -days)
+        );
+      }
+      const previousByKey = new Map((previous || []).map(bucket => [bucket.key, bucket]));
+      response.group_by = groupBy;
+      response.buckets = buckets
+        .map(bucket => {
+          if (!previous) {
+            return { ...bucket, previous: null, sales_change_pct: null };
+          }
+          const before = previousByKey.get(previousKey(bucket.key)) ||
+            { bills: 0, sales: 0, items_sold: 0, average_bill_value: 0 };
+          return {
+            ...bucket,
+            previous: {
+              bills: before.bills,
+              sales: before.sales,
+              items_sold: before.items_sold,
+              average_bill_value: before.average_bill_value
+            },
+            sales_change_pct: before.sales > 0
+              ? Math.round((bucket.sales - before.sales) / before.sales * 1000) / 10
+              : null
+          };
+        })
+        .sort((a, b) => (group.unit || groupBy === 'hour'
+          ? (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+          : b.sales - a.sales));
+    }
+    res.json(response);
+  } catch (err) {
+    console.error("Error fetching sales summary:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// Refunds per mode for the credit notes matching whereClause. What a note took
+// off the bill's balance counts as refunded on credit, the rest in its refund_mode.
+const creditNoteRefundsSql = (whereClause) => `
+  SELECT refund.mode, COUNT(*) as credit_notes, SUM(refund.amount) as amount
+  FROM credit_notes
+  CROSS JOIN LATERAL (
+    VALUES (refund_mode, total_amount - credited_amount), ('credit', credited_amount)
+  ) AS refund(mode, amount)
+  WHERE ${whereClause} AND refund.amount > 0
+  GROUP BY refund.mode`;
+/**
+ * @swagger
+ * /api/reports/cash-drawer:
+ *   get:
+ *     summary: Daily cash-drawer reconciliation by payment mode
+ *     x-permission: reports:read
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day in the shop's timezone, defaults to today
+ *       - in: query
+ *         name: opening_float
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Cash in the drawer when the till was opened
+ *     responses:
+ *       200:
+ *         description: >
+ *           Money received and refunded per mode, and the cash expected in the drawer. The credit mode
+ *           shows what was sold on udhaar and what returns took off customers' balances.
+ */
+app.get("/api/reports/cash-drawer", async (req, res) => {
+  try {
+    const date = req.query.date || new Date().toLocaleDateString("en-CA", { timeZone: SHOP_TIMEZONE });
+    const openingFloat = toPaise(req.query.opening_float || 0);
+    const params = [req.user.shop_id, date, SHOP_TIMEZONE];
+    const [paymentsResult, refundsResult] = await Promise.all([
+      pool.query(`
+        SELECT
+          mode,
+          COUNT(*) as payments,
+          SUM(amount) as amount,
+          SUM(tendered) as tendered,
+          SUM(change_returned) as change_returned
+        FROM payments
+        WHERE shop_id = $1 AND (created_at AT TIME ZONE $3)::date = $2
+        GROUP BY mode
+      `, params),
+      pool.query(creditNoteRefundsSql("shop_id = $1 AND (created_at AT TIME ZONE $3)::date = $2"), params)
+    ]);
+    const byMode = (rows, mode) => rows.find(row => row.mode === mode) || {};
+    const modes = PAYMENT_MODES.map(mode => {
+      const received = byMode(paymentsResult.rows, mode);
+      const refunded = byMode(refundsResult.rows, mode);
+      return {
+        mode,
+        payments: parseInt(received.payments || 0),
+        received: fromPaise(toPaise(received.amount || 0)),
+        refunds: parseInt(refunded.credit_notes || 0),
+        refunded: fromPaise(toPaise(refunded.amount || 0)),
+        net: fromPaise(toPaise(received.amount || 0) - toPaise(refunded.amount || 0))
+      };
+    });
+    const cash = byMode(paymentsResult.rows, 'cash');
+    const cashRefunded = toPaise(byMode(refundsResult.rows, 'cash').amount || 0);
+    res.json({
+      date,
+      timezone: SHOP_TIMEZONE,
+      modes,
+      cash: {
+        opening_float: fromPaise(openingFloat),
+        tendered: fromPaise(toPaise(cash.tendered || 0)),
+        change_returned: fromPaise(toPaise(cash.change_returned || 0)),
+        received: fromPaise(toPaise(cash.amount || 0)),
+        refunded: fromPaise(cashRefunded),
+        expected_in_drawer: fromPaise(openingFloat + toPaise(cash.amount || 0) - cashRefunded)
+      }
+    });
+  } catch (err) {
+    console.error("Error fetching cash drawer report:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// Inter-state invoices to unregistered buyers above this value are reported
+// one by one in B2CL instead of being summed into B2CS
+const B2CL_INVOICE_LIMIT = 100000;
+// GST unit quantity codes for the HSN summary
+const UNIT_UQC = { pcs: "NOS", kg: "KGS", g: "GMS", l: "LTR", ml: "MLT", m: "MTR" };
+// Columns of each GSTR-1 section, in the order of the GST offline tool
+const GSTR1_SECTIONS = {
+  b2b: [
+    'gstin', 'receiver_name', 'invoice_number', 'invoice_date', 'invoice_value', 'place_of_supply',
+    'reverse_charge', 'invoice_type', 'rate', 'taxable_value', 'igst', 'cgst', 'sgst', 'cess'
+  ],
+  b2cl: ['invoice_number', 'invoice_date', 'invoice_value', 'place_of_supply', 'rate', 'taxable_value', 'igst', 'cess'],
+  b2cs: ['type', 'place_of_supply', 'rate', 'taxable_value', 'igst', 'cgst', 'sgst', 'cess'],
+  cdnr: [
+    'gstin', 'receiver_name', 'note_number', 'note_date', 'note_type', 'place_of_supply', 'note_value',
+    'rate', 'taxable_value', 'igst', 'cgst', 'sgst', 'cess'
+  ],
+  cdnur: [
+    'ur_type', 'note_number', 'note_date', 'note_type', 'place_of_supply', 'note_value', 'rate', 'taxable_value', 'igst', 'cess'
+  ],
+  hsn: [
+    'hsn_code', 'description', 'uqc', 'total_quantity', 'total_value', 'rate', 'taxable_value', 'igst', 'cgst', 'sgst', 'cess'
+  ]
+};
+// Bills or credit notes dated inside the month, in the shop timezone
+const gstr1Period = (alias) => `${alias}.created_at >= ($2::date)::timestamp AT TIME ZONE $3
+  AND ${alias}.created_at < ($2::date + interval '1 month')::timestamp AT TIME ZONE $3`;
+// Helper function for building the GSTR-1 sections for one month. Credit notes
+// against unregistered buyers are netted into B2CS, as the return expects.
+const getGstr1Data = async (shop, month) => {
+  const params = [shop.id, `${month}-01`, SHOP_TIMEZONE];
+  const shopState = gstStateCode(shop.gst);
+  const [invoicesResult, notesResult, hsnResult] = await Promise.all([
+    pool.query(`
+      SELECT
+        b.invoice_number,
+        to_char(b.created_at AT TIME ZONE $3, 'DD-MM-YYYY') as invoice_date,
+        b.total_amount as invoice_value,
+        b.customer_gstin,
+        c.name as receiver_name,
+        b.place_of_supply,
+        bi.tax_rate,
+        SUM(bi.taxable_value) as taxable_value,
+        SUM(bi.igst) as igst,
+        SUM(bi.cgst) as cgst,
+        SUM(bi.sgst) as sgst
+      FROM bills b
+      JOIN bill_items bi ON bi.bill_id = b.id
+      LEFT JOIN customers c ON c.id = b.customer_id
+      WHERE b.shop_id = $1 AND ${gstr1Period("b")}
+      GROUP BY b.id, c.name, bi.tax_rate
+      ORDER BY b.invoice_number, bi.tax_rate
+    `, params),
+    pool.query(`
+      SELECT
+        cn.credit_note_number,
+        to_char(cn.created_at AT TIME ZONE $3, 'DD-MM-YYYY') as note_date,
+        cn.total_amount as note_value,
+        b.total_amount as invoice_value,
+        b.customer_gstin,
+        c.name as receiver_name,
+        b.place_of_supply,
+        bi.tax_rate,
+        SUM(cni.taxable_value) as taxable_value,
+        SUM(cni.igst) as igst,
+        SUM(cni.cgst) as cgst,
+        SUM(cni.sgst) as sgst
+      FROM credit_notes cn
+      JOIN bills b ON b.id = cn.bill_id
+      JOIN credit_note_items cni ON cni.credit_note_id = cn.id
+      JOIN bill_items bi ON bi.id = cni.bill_item_id
+      LEFT JOIN customers c ON c.id = b.customer_id
+      WHERE cn.shop_id = $1 AND ${gstr1Period("cn")}
+      GROUP BY cn.id, b.id, c.name, bi.tax_rate
+      ORDER BY cn.credit_note_number, bi.tax_rate
+    `, params),
+    pool.query(`
+      SELECT
+        hsn_code,
+        MAX(name) as description,
+        unit,
+        SUM(quantity) as total_quantity,
+        SUM(value) as total_value,
+        tax_rate,
+        SUM(taxable_value) as taxable_value,
+        SUM(igst) as igst,
+        SUM(cgst) as cgst,
+        SUM(sgst) as sgst
+      FROM (
+        SELECT bi.hsn_code, bi.name, bi.unit, bi.quantity, ROUND(bi.price * bi.quantity, 2) - bi.discount as value,
+          bi.tax_rate, bi.taxable_value, bi.igst, bi.cgst, bi.sgst
+        FROM bills b
+        JOIN bill_items bi ON bi.bill_id = b.id
+        WHERE b.shop_id = $1 AND ${gstr1Period("b")}
+        UNION ALL
+        SELECT bi.hsn_code, bi.name, bi.unit, -cni.quantity, -(cni.taxable_value + cni.igst + cni.cgst + cni.sgst),
+          bi.tax_rate, -cni.taxable_value, -cni.igst, -cni.cgst, -cni.sgst
+        FROM credit_notes cn
+        JOIN credit_note_items cni ON cni.credit_note_id = cn.id
+        JOIN bill_items bi ON bi.id = cni.bill_item_id
+        WHERE cn.shop_id = $1 AND ${gstr1Period("cn")}
+      ) lines
+      GROUP BY hsn_code, unit, tax_rate
+      ORDER BY hsn_code, unit, tax_rate
+    `, params)
+  ]);
+  const isB2cl = (row) => row.place_of_supply !== shopState && Number(row.invoice_value) > B2CL_INVOICE_LIMIT;
+  const taxes = (row, sign = 1) => ({
+    rate: Number(row.tax_rate),
+    taxable_value: sign * Number(row.taxable_value),
+    igst: sign * Number(row.igst),
+    cgst: sign * Number(row.cgst),
+    sgst: sign * Number(row.sgst),
+    cess: 0
+  });
+  const data = { b2b: [], b2cl: [], b2cs: [], cdnr: [], cdnur: [], hsn: [] };
+  const b2cs = new Map();
+  const addB2cs = (row, sign) => {
+    const key = `${row.place_of_supply}|${row.tax_rate}`;
+    const entry = b2cs.get(key) || {
+      type: "OE", place_of_supply: row.place_of_supply, rate: Number(row.tax_rate), taxable: 0, igst: 0, cgst: 0, sgst: 0
+    };
+    for (const [field, column] of [['taxable', 'taxable_value'], ['igst', 'igst'], ['cgst', 'cgst'], ['sgst', 'sgst']]) {
+      entry[field] += sign * toPaise(row[column]);
+    }
+    b2cs.set(key, entry);
+  };
+  for (const row of invoicesResult.rows) {
+    const invoice = {
+      invoice_number: row.invoice_number,
+      invoice_date: row.invoice_date,
+      invoice_value: Number(row.invoice_value),
+      place_of_supply: row.place_of_supply
+    };
+    if (row.customer_gstin) {
+      data.b2b.push({
+        gstin: row.customer_gstin, receiver_name: row.receiver_name, ...invoice,
+        reverse_charge: "N", invoice_type: "Regular", ...taxes(row)
+      });
+    } else if (isB2cl(row)) {
+      data.b2cl.push({ ...invoice, ...taxes(row) });
+    } else {
+      addB2cs(row, 1);
+    }
+  }
+  for (const row of notesResult.rows) {
+    const note = {
+      note_number: row.credit_note_number,
+      note_date: row.note_date,
+      note_type: "C",
+      place_of_supply: row.place_of_supply,
+      note_value: Number(row.note_value)
+    };
+    if (row.customer_gstin) {
+      data.cdnr.push({ gstin: row.customer_gstin, receiver_name: row.receiver_name, ...note, ...taxes(row) });
+    } else if (isB2cl(row)) {
+      data.cdnur.push({ ur_type: "B2CL", ...note, ...taxes(row) });
+    } else {
+      addB2cs(row, -1);
+    }
+  }
+  data.b2cs = [...b2cs.values()].map(entry => ({
+    type: entry.type,
+    place_of_supply: entry.place_of_supply,
+    rate: entry.rate,
+    taxable_value: fromPaise(entry.taxable),
+    igst: fromPaise(entry.igst),
+    cgst: fromPaise(entry.cgst),
+    sgst: fromPaise(entry.sgst),
+    cess: 0
+  }));
+  data.hsn = hsnResult.rows.map(row => ({
+    hsn_code: row.hsn_code,
+    description: row.description,
+    uqc: UNIT_UQC[row.unit] || "OTH",
+    total_quantity: Number(row.total_quantity),
+    total_value: Number(row.total_value),
+    ...taxes(row)
+  }));
+  return data;
+};
+/**
+ * @swagger
+ * /api/reports/gstr1:
+ *   get:
+ *     summary: GSTR-1 summary of a month's outward supplies
+ *     description: B2B, B2CL and B2CS invoices, credit notes (CDNR and CDNUR) and the HSN summary, laid out like the GST offline tool. Months are in the shop timezone.
+ *     x-permission: reports:read
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9]{4}-(0[1-9]|1[0-2])$'
+ *           example: 2024-03
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *           default: json
+ *         description: xlsx has one sheet per section; csv needs a section
+ *       - in: query
+ *         name: section
+ *         schema:
+ *           type: string
+ *           enum: [b2b, b2cl, b2cs, cdnr, cdnur, hsn]
+ *     responses:
+ *       200:
+ *         description: GSTR-1 sections
+ *       400:
+ *         description: The shop has no GSTIN, or a csv export has no section
+ */
+app.get("/api/reports/gstr1", async (req, res) => {
+  try {
+    const { month, section } = req.query;
+    const format = req.query.format || 'json';
+    if (format === 'csv' && !section) {
+      return res.status(400).json({ error: "A csv export needs a section" });
+    }
+    const shopResult = await pool.query("SELECT id, gst FROM users WHERE id = $1", [req.user.shop_id]);
+    const shop = shopResult.rows[0];
+    if (!shop || !shop.gst) {
+      return res.status(400).json({ error: "Shop has no GSTIN" });
+    }
+    const data = await getGstr1Data(shop, month);
+    const sections = section ? [section] : Object.keys(GSTR1_SECTIONS);
+    if (format === 'json') {
+      return res.json({
+        gstin: shop.gst,
+        month,
+        ...Object.fromEntries(sections.map(name => [name, data[name]]))
+      });
+    }
+    const filename = `gstr1-${month}${section ? `-${section}` : ''}.${format}`;
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      const { addRow, finish } = createFileWriter(res, 'csv', section, GSTR1_SECTIONS[section]);
+      for (const row of data[section]) {
+        await addRow(row);
+      }
+      return finish();
+    }
+    res.type(XLSX_TYPE);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    for (const name of sections) {
+      const sheet = workbook.addWorksheet(name);
+      sheet.columns = GSTR1_SECTIONS[name].map(column => ({ header: column, key: column }));
+      data[name].forEach(row => sheet.addRow(row).commit());
+      sheet.commit();
+    }
+    await workbook.commit();
+  } catch (err) {
+    console.error("Error building GSTR-1 report:", err);
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+});
+// Scheduled reports. The scheduler runs inside the server process; hosts that
+// do not keep one running can set REPORT_SCHEDULER=off and have a cron call
+// GET /internal/reports/run with CRON_SECRET instead.
+const REPORT_SCHEDULER_ENABLED = process.env.REPORT_SCHEDULER !== "off";
+const REPORT_SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.REPORT_SCHEDULER_INTERVAL_SECONDS) || 60;
+const REPORT_MAX_ATTEMPTS = parseInt(process.env.REPORT_MAX_ATTEMPTS) || 5;
+const REPORT_RETRY_MINUTES = parseInt(process.env.REPORT_RETRY_MINUTES) || 5;
+const REPORT_EMAIL_FROM = process.env.REPORT_EMAIL_FROM || "Bill Generator <reports@localhost>";
+const REPORT_DEFAULT_SEND_AT = "21:00";
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReportSettings:
+ *       type: object
+ *       description: End-of-day digest of bills, sales, savings, top products, low stock and payment-mode totals
+ *       required:
+ *         - frequency
+ *         - channel
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: ['off', daily, weekly]
+ *         send_at:
+ *           type: string
+ *           pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+ *           default: '21:00'
+ *           description: HH:MM in the shop timezone. A report covers the day it is sent on, so pick a time after closing.
+ *         weekday:
+ *           type: string
+ *           enum: [sunday, monday, tuesday, wednesday, thursday, friday, saturday]
+ *           default: sunday
+ *           description: Day weekly reports go out; they cover the seven days ending that day
+ *         channel:
+ *           type: string
+ *           enum: [email, webhook]
+ *         email_to:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 10
+ *           items:
+ *             type: string
+ *             format: email
+ *         webhook_url:
+ *           type: string
+ *           pattern: '^https?://'
+ */
+// Helper function for the checks the settings schema cannot express
+const reportSettingsError = (reports) => {
+  if (!reports || reports.frequency === 'off') {
+    return null;
+  }
+  if (reports.channel === 'email' && !(reports.email_to && reports.email_to.length > 0)) {
+    return "settings.reports.email_to is required for email reports";
+  }
+  if (reports.channel === 'webhook' && !reports.webhook_url) {
+    return "settings.reports.webhook_url is required for webhook reports";
+  }
+  return null;
+};
+// Last day a shop's scheduled report fell due on, in the shop timezone
+const dueReportDay = (reports, now) => {
+  const today = now.toLocaleDateString("en-CA", { timeZone: SHOP_TIMEZONE });
+  const time = now.toLocaleTimeString("en-GB", { timeZone: SHOP_TIMEZONE, hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+  const day = time >= (reports.send_at || REPORT_DEFAULT_SEND_AT) ? today : shiftDay(today, 'day', -1);
+  if (reports.frequency !== 'weekly') {
+    return day;
+  }
+  const weekday = WEEKDAYS.indexOf(reports.weekday || 'sunday');
+  return shiftDay(day, 'day', -((new Date(`${day}T00:00:00Z`).getUTCDay() - weekday + 7) % 7));
+};
+// Helper function for the digest of the day or week ending on endDay
+const buildDigest = async (shop, frequency, endDay) => {
+  const start = frequency === 'weekly' ? shiftDay(endDay, 'day', -6) : endDay;
+  const { whereClause, params } = salesFilter(shop.id, SHOP_TIMEZONE, start, endDay);
+  const periodParams = [shop.id, start, endDay, SHOP_TIMEZONE];
+  const [totals, topProducts, lowStockResult, paymentsResult, refundsResult] = await Promise.all([
+    salesTotals(whereClause, params),
+    topSellingProducts(whereClause, params, 5),
+    pool.query(`
+      SELECT id, name, sku, unit, stock_quantity, reorder_level, COUNT(*) OVER () as total
+      FROM products
+      WHERE shop_id = $1 AND ${LOW_STOCK_SQL}
+      ORDER BY stock_quantity - reorder_level, name
+      LIMIT 20
+    `, [shop.id]),
+    pool.query(`
+      SELECT mode, SUM(amount) as amount
+      FROM payments
+      WHERE shop_id = $1 AND (created_at AT TIME ZONE $4)::date BETWEEN $2 AND $3
+      GROUP BY mode
+    `, periodParams),
+    pool.query(creditNoteRefundsSql("shop_id = $1 AND (created_at AT TIME ZONE $4)::date BETWEEN $2 AND $3"), periodParams)
+  ]);
+  const amountFor = (rows, mode) => toPaise((rows.find(row => row.mode === mode) || {}).amount || 0);
+  return {
+    shop_id: shop.id,
+    shop_name: shop.shop_name,
+    frequency,
+    period_start: start,
+    period_end: endDay,
+    timezone: SHOP_TIMEZONE,
+    bills: parseInt(totals.total_bills),
+    sales: fromPaise(toPaise(totals.total_sales || 0)),
+    savings: fromPaise(toPaise(totals.total_savings || 0)),
+    returns: fromPaise(toPaise(totals.total_returns || 0)),
+    top_products: topProducts.map(product => ({
+      product_id: product.product_id,
+      name: product.product_name,
+      quantity: Number(product.total_quantity),
+      revenue: Number(product.total_revenue)
+    })),
+    low_stock: {
+      total: lowStockResult.rows.length > 0 ? parseInt(lowStockResult.rows[0].total) : 0,
+      items: lowStockResult.rows.map(({ total, ...product }) => ({
+        ...product,
+        stock_quantity: Number(product.stock_quantity),
+        reorder_level: Number(product.reorder_level)
+      }))
+    },
+    payment_modes: PAYMENT_MODES.map(mode => {
+      const received = amountFor(paymentsResult.rows, mode);
+      const refunded = amountFor(refundsResult.rows, mode);
+      return { mode, received: fromPaise(received), refunded: fromPaise(refunded), net: fromPaise(received - refunded) };
+    })
+  };
+};
+const reportSubject = (digest) => {
+  const period = digest.period_start === digest.period_end
+    ? digest.period_end
+    : `${digest.period_start} to ${digest.period_end}`;
+  return `${digest.frequency === 'weekly' ? "Weekly" : "Daily"} report for ${digest.shop_name || "your shop"}, ${period}`;
+};
+// Plain-text body of a report email
+const digestText = (digest) => [
+  reportSubject(digest),
+  "",
+  `Bills: ${digest.bills}`,
+  `Sales: ${formatMoney(digest.sales)}`,
+  `Savings given: ${formatMoney(digest.savings)}`,
+  `Returns: ${formatMoney(digest.returns)}`,
+  "",
+  "Payments",
+  ...digest.payment_modes
+    .filter(mode => mode.received || mode.refunded)
+    .map(mode => `  ${mode.mode}: ${formatMoney(mode.received)} received, ${formatMoney(mode.refunded)} refunded`),
+  "",
+  "Top products",
+  ...(digest.top_products.length > 0
+    ? digest.top_products.map((product, i) => `  ${i + 1}. ${product.name}: ${product.quantity} sold, ${formatMoney(product.revenue)}`)
+    : ["  No sales"]),
+  "",
+  `Low stock (${digest.low_stock.total})`,
+  ...digest.low_stock.items.map(product =>
+    `  ${product.name}: ${product.stock_quantity} ${product.unit} left, reorder at ${product.reorder_level}`),
+  ...(digest.low_stock.total > digest.low_stock.items.length
+    ? [`  and ${digest.low_stock.total - digest.low_stock.items.length} more`]
+    : [])
+].join("\n");
+// Period dates as plain YYYY-MM-DD strings rather than Date objects
+const REPORT_DELIVERY_COLUMNS = "*, to_char(period_start, 'YYYY-MM-DD') as period_start, to_char(period_end, 'YYYY-MM-DD') as period_end";
+let mailTransport = null;
+// Sends one delivery, throwing when the mail server or webhook refuses it
+const sendReport = async (delivery) => {
+  if (delivery.channel === 'email') {
+    if (!process.env.SMTP_URL) {
+      throw new Error("SMTP_URL is not configured");
+    }
+    mailTransport = mailTransport || nodemailer.createTransport(process.env.SMTP_URL);
+    await mailTransport.sendMail({
+      from: REPORT_EMAIL_FROM,
+      to: delivery.target,
+      subject: reportSubject(delivery.digest),
+      text: digestText(delivery.digest)
+    });
+    return;
+  }
+  const response = await fetch(delivery.target, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ event: "report.digest", delivery_id: delivery.id, digest: delivery.digest }),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook responded with HTTP ${response.status}`);
+  }
+};
+// Helper function for one delivery attempt. Failures wait REPORT_RETRY_MINUTES,
+// doubling each time, and the delivery fails after REPORT_MAX_ATTEMPTS.
+const attemptReportDelivery = async (delivery) => {
+  try {
+    await sendReport(delivery);
+    const result = await pool.query(`
+      UPDATE report_deliveries
+      SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${REPORT_DELIVERY_COLUMNS}
+    `, [delivery.id]);
+    return result.rows[0];
+  } catch (err) {
+    const result = await pool.query(`
+      UPDATE report_deliveries
+      SET attempts = attempts + 1,
+        last_error = $2,
+        status = CASE WHEN attempts + 1 >= $3 THEN 'failed' ELSE 'pending' END,
+        next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => ($4::int * power(2, attempts))::int)
+      WHERE id = $1
+      RETURNING ${REPORT_DELIVERY_COLUMNS}
+    `, [delivery.id, String(err.message || err).slice(0, 500), REPORT_MAX_ATTEMPTS, REPORT_RETRY_MINUTES]);
+    return result.rows[0];
+  }
+};
+// Helper function for recording a report to send. The row is created already
+// claimed, so the caller sends it without the scheduler picking it up too.
+// A scheduled report that another server already created returns null.
+const createReportDelivery = async (shop, reports, options) => {
+  const digest = await buildDigest(shop, options.frequency, options.endDay);
+  const result = await pool.query(`
+    INSERT INTO report_deliveries (
+      shop_id, frequency, period_start, period_end, trigger, channel, target, digest, created_by, next_attempt_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP + make_interval(mins => $10))
+    ON CONFLICT (shop_id, frequency, period_end) WHERE trigger = 'schedule' DO NOTHING
+    RETURNING ${REPORT_DELIVERY_COLUMNS}
+  `, [
+    shop.id, options.frequency, digest.period_start, digest.period_end, options.trigger, reports.channel,
+    reports.channel === 'email' ? reports.email_to.join(", ") : reports.webhook_url,
+    JSON.stringify(digest), options.createdBy || null, REPORT_RETRY_MINUTES
+  ]);
+  return result.rows[0] || null;
+};
+// One pass of the scheduler: create the reports that fell due and send them
+// along with earlier deliveries whose retry time has come
+const runReportScheduler = async (now = new Date()) => {
+  const shopsResult = await pool.query(`
+    SELECT id, shop_name, settings FROM users
+    WHERE id = shop_id AND settings->'reports'->>'frequency' IN ('daily', 'weekly')
+  `);
+  const deliveries = [];
+  for (const shop of shopsResult.rows) {
+    const reports = shop.settings.reports;
+    if (reportSettingsError(reports)) {
+      continue;
+    }
+    try {
+      const endDay = dueReportDay(reports, now);
+      const existing = await pool.query(`
+        SELECT 1 FROM report_deliveries
+        WHERE shop_id = $1 AND frequency = $2 AND period_end = $3 AND trigger = 'schedule'
+      `, [shop.id, reports.frequency, endDay]);
+      if (existing.rows.length === 0) {
+        const delivery = await createReportDelivery(shop, reports, {
+          frequency: reports.frequency, endDay, trigger: 'schedule'
+        });
+        if (delivery) {
+          deliveries.push(delivery);
+        }
+      }
+    } catch (err) {
+      console.error(`Error scheduling report for shop ${shop.id}:`, err);
+    }
+  }
+  const dueResult = await pool.query(`
+    UPDATE report_deliveries SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $1)
+    WHERE id IN (
+      SELECT id FROM report_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY next_attempt_at
+      LIMIT 20
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING ${REPORT_DELIVERY_COLUMNS}
+  `, [REPORT_RETRY_MINUTES]);
+  deliveries.push(...dueResult.rows);
+  const results = [];
+  for (const delivery of deliveries) {
+    results.push(await attemptReportDelivery(delivery));
+  }
+  return { attempted: results.length, sent: results.filter(delivery => delivery.status === 'sent').length };
+};
+// Runs a background job every few seconds, skipping a tick while the last run is busy
+const startBackgroundJob = (name, run, seconds) => {
+  let running = false;
+  setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await run();
+    } catch (err) {
+      console.error(`Error running ${name}:`, err);
+    } finally {
+      running = false;
+    }
+  }, seconds * 1000).unref();
+};
+// Middleware for the cron entry points that stand in for background jobs
+const requireCronSecret = (req, res, next) => {
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  next();
+};
+// Cron entry point for hosts without a long-running process
+app.get("/internal/reports/run", requireCronSecret, async (req, res) => {
+  try {
+    res.json(await runReportScheduler());
+  } catch (err) {
+    console.error("Error running report scheduler:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/reports/digest:
+ *   get:
+ *     summary: Preview the daily or weekly report digest
+ *     x-permission: reports:read
+ *     parameters:
+ *       - in: query
+ *         name: frequency
+ *         schema:
+ *           type: string
+ *           enum: [daily, weekly]
+ *           default: daily
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day the report covers, in the shop timezone. Defaults to today.
+ *     responses:
+ *       200:
+ *         description: Bills, sales, savings and returns, top products, low stock and payment-mode totals
+ */
+app.get("/api/reports/digest", async (req, res) => {
+  try {
+    const shopResult = await pool.query("SELECT id, shop_name FROM users WHERE id = $1", [req.user.shop_id]);
+    const endDay = req.query.date || new Date().toLocaleDateString("en-CA", { timeZone: SHOP_TIMEZONE });
+    res.json(await buildDigest(shopResult.rows[0], req.query.frequency || 'daily', endDay));
+  } catch (err) {
+    console.error("Error building report digest:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/reports/digest/run:
+ *   post:
+ *     summary: Send the report now to the channel in settings.reports
+ *     description: Works whether or not the schedule is switched on. A failed send is retried like a scheduled one.
+ *     x-permission: reports:read
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly]
+ *                 description: Defaults to the scheduled frequency, or daily when the schedule is off
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day the report covers. Defaults to today.
+ *     responses:
+ *       201:
+ *         description: The delivery, sent or pending a retry with last_error
+ *       400:
+ *         description: The shop has no report channel set up
+ */
+app.post("/api/reports/digest/run", async (req, res) => {
+  try {
+    const shopResult = await pool.query("SELECT id, shop_name, settings FROM users WHERE id = $1", [req.user.shop_id]);
+    const shop = shopResult.rows[0];
+    const reports = (shop.settings && shop.settings.reports) || {};
+    if (!reports.channel || reportSettingsError({ ...reports, frequency: 'daily' })) {
+      return res.status(400).json({
+        error: "Set up settings.reports with an email or webhook channel first",
+        code: "REPORTS_NOT_CONFIGURED"
+      });
+    }
+    const body = req.body || {};
+    const delivery = await createReportDelivery(shop, reports, {
+      frequency: body.frequency || (reports.frequency === 'weekly' ? 'weekly' : 'daily'),
+      endDay: body.date || new Date().toLocaleDateString("en-CA", { timeZone: SHOP_TIMEZONE }),
+      trigger: 'manual',
+      createdBy: req.user.id
+    });
+    res.status(201).json(await attemptReportDelivery(delivery));
+  } catch (err) {
+    console.error("Error sending report:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/reports/deliveries:
+ *   get:
+ *     summary: History of report deliveries, newest first
+ *     x-permission: reports:read
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Deliveries with their status, attempts and last error
+ */
+app.get("/api/reports/deliveries", async (req, res) => {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const params = [req.user.shop_id];
+    let whereClause = " WHERE shop_id = $1";
+    if (req.query.status) {
+      params.push(req.query.status);
+      whereClause += " AND status = $2";
+    }
+    const [deliveries, totalResult] = await Promise.all([
+      pool.query(`
+        SELECT ${REPORT_DELIVERY_COLUMNS} FROM report_deliveries${whereClause}
+        ORDER BY created_at DESC, id
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM report_deliveries${whereClause}`, params)
+    ]);
+    res.json({
+      items: deliveries.rows,
+      total: parseInt(totalResult.rows[0].count),
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error("Error fetching report deliveries:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/reports/deliveries/{id}/retry:
+ *   post:
+ *     summary: Try a failed or pending report delivery again now
+ *     x-permission: reports:read
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The delivery after the attempt
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: The report was already sent
+ */
+app.post("/api/reports/deliveries/:id/retry", async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE report_deliveries
+      SET status = 'pending', next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $3)
+      WHERE id = $1 AND shop_id = $2 AND status <> 'sent'
+      RETURNING ${REPORT_DELIVERY_COLUMNS}
+    `, [req.params.id, req.user.shop_id, REPORT_RETRY_MINUTES]);
+    if (result.rows.length === 0) {
+      const existing = await pool.query(
+        "SELECT 1 FROM report_deliveries WHERE id = $1 AND shop_id = $2",
+        [req.params.id, req.user.shop_id]
+      );
+      return existing.rows.length === 0
+        ? res.status(404).json({ error: "Delivery not found" })
+        : res.status(409).json({ error: "Report was already sent" });
+    }
+    res.json(await attemptReportDelivery(result.rows[0]));
+  } catch (err) {
+    console.error("Error retrying report delivery:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// Outgoing webhooks. Handlers queue events with queueWebhookEvent inside their
+// transaction and the dispatcher below sends them once committed.
+const WEBHOOK_DISPATCHER_ENABLED = process.env.WEBHOOK_DISPATCHER !== "off";
+const WEBHOOK_DISPATCH_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS) || 5;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_SECONDS = parseInt(process.env.WEBHOOK_RETRY_SECONDS) || 30;
+const WEBHOOK_ENDPOINT_FIELDS = ['url', 'description', 'events', 'active'];
+// Signature over "<timestamp>.<body>", in the same shape as the header
+const webhookSignature = (secret, timestamp, body) =>
+  `t=${timestamp},v1=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+// Helper function for one delivery attempt. Failures wait WEBHOOK_RETRY_SECONDS,
+// doubling each time, and the delivery fails after WEBHOOK_MAX_ATTEMPTS.
+const attemptWebhookDelivery = async (deliveryId) => {
+  const result = await pool.query(`
+    SELECT d.id, e.id as event_id, e.type, e.data, e.created_at, endpoint.url, endpoint.secret
+    FROM webhook_deliveries d
+    JOIN webhook_events e ON e.id = d.event_id
+    JOIN webhook_endpoints endpoint ON endpoint.id = d.endpoint_id
+    WHERE d.id = $1
+  `, [deliveryId]);
+  const delivery = result.rows[0];
+  const body = JSON.stringify({
+    id: delivery.event_id,
+    type: delivery.type,
+    created_at: delivery.created_at,
+    data: delivery.data
+  });
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": delivery.event_id,
+        "X-Webhook-Event": delivery.type,
+        "X-Webhook-Signature": webhookSignature(delivery.secret, Math.floor(Date.now() / 1000), body)
+      },
+      body,
+      signal: AbortSignal.timeout(10000)
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = String(err.message || err).slice(0, 500);
+  }
+  const updated = await pool.query(`
+    UPDATE webhook_deliveries
+    SET attempts = attempts + 1,
+      response_status = $2,
+      last_error = $3,
+      status = CASE WHEN $3::text IS NULL THEN 'sent' WHEN attempts + 1 >= $4 THEN 'failed' ELSE 'pending' END,
+      sent_at = CASE WHEN $3::text IS NULL THEN CURRENT_TIMESTAMP END,
+      next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $5::int * power(2, attempts))
+    WHERE id = $1
+    RETURNING *
+  `, [deliveryId, responseStatus, error, WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_SECONDS]);
+  return updated.rows[0];
+};
+// One pass of the dispatcher over deliveries that are due. Claimed rows are
+// pushed back by a retry interval so a second server skips them meanwhile.
+const dispatchWebhooks = async () => {
+  const claimed = await pool.query(`
+    UPDATE webhook_deliveries SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $1)
+    WHERE id IN (
+      SELECT d.id FROM webhook_deliveries d
+      JOIN webhook_endpoints endpoint ON endpoint.id = d.endpoint_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP AND endpoint.active
+      ORDER BY d.next_attempt_at
+      LIMIT 50
+      FOR UPDATE OF d SKIP LOCKED
+    )
+    RETURNING id
+  `, [WEBHOOK_RETRY_SECONDS]);
+  const results = [];
+  for (const { id } of claimed.rows) {
+    results.push(await attemptWebhookDelivery(id));
+  }
+  return { attempted: results.length, sent: results.filter(delivery => delivery.status === 'sent').length };
+};
+// The signing secret is shown when an endpoint is created and on its own page only
+const publicWebhookEndpoint = ({ secret, ...endpoint }) => endpoint;
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEndpointFields:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           pattern: '^https?://'
+ *           maxLength: 2000
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           minItems: 1
+ *           uniqueItems: true
+ *           items:
+ *             type: string
+ *             enum: [bill.created, bill.voided, product.created, product.updated, product.deleted]
+ *         active:
+ *           type: boolean
+ */
+// Cron entry point for hosts without a long-running process
+app.get("/internal/webhooks/run", requireCronSecret, async (req, res) => {
+  try {
+    res.json(await dispatchWebhooks());
+  } catch (err) {
+    console.error("Error dispatching webhooks:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Get the shop's webhook endpoints
+ *     x-permission: webhooks:manage
+ *     responses:
+ *       200:
+ *         description: Endpoints without their signing secrets
+ */
+app.get("/api/webhooks", async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT * FROM webhook_endpoints WHERE shop_id = $1 ORDER BY created_at",
+      [req.user.shop_id]
+    );
+    res.json(result.rows.map(publicWebhookEndpoint));
+  } catch (err) {
+    console.error("Error fetching webhook endpoints:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook endpoint
+ *     description: >
+ *       Subscribed events are POSTed as JSON {id, type, created_at, data}, where data is the bill or product.
+ *       Each request carries X-Webhook-Id, X-Webhook-Event and X-Webhook-Signature "t=<unix time>,v1=<hex>",
+ *       the HMAC-SHA256 of "<t>.<raw body>" keyed with the endpoint's secret. Any 2xx response counts as
+ *       delivered; anything else is retried with backoff. The same event may arrive more than once, so
+ *       receivers should deduplicate on X-Webhook-Id.
+ *       product.deleted is sent when a product is archived, and restoring it sends product.updated. Stock
+ *       recorded through POST /api/products/{id}/stock sends product.updated; stock moved by sales and returns
+ *       is covered by the bill events.
+ *     x-permission: webhooks:manage
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WebhookEndpointFields'
+ *               - type: object
+ *                 required:
+ *                   - url
+ *                   - events
+ *     responses:
+ *       201:
+ *         description: Endpoint registered, with its signing secret
  */
+app.post("/api/webhooks", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { url, description, events, active } = req.body;
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO webhook_endpoints (shop_id, url, description, events, secret, active, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING *
+    `, [
+      req.user.shop_id, url, description, events, `whsec_${crypto.randomBytes(24).toString("hex")}`,
+      active !== false
+    ]);
+    await recordAudit(client, req, {
+      entity: 'webhook', entityId: result.rows[0].id, action: 'create', after: result.rows[0]
+    });
+    await client.query('COMMIT');
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error creating webhook endpoint:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
 /**
  * @swagger
- * /api/products:
+ * /api/webhooks/deliveries:
  *   get:
- *     summary: Get products with search and pagination
+ *     summary: Log of webhook deliveries, newest first
+ *     x-permission: webhooks:manage
  *     parameters:
  *       - in: query
- *         name: search
+ *         name: endpoint_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [bill.created, bill.voided, product.created, product.updated, product.deleted]
+ *       - in: query
+ *         name: status
  *         schema:
  *           type: string
+ *           enum: [pending, sent, failed]
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
+ *           minimum: 1
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: List of products
+ *         description: Deliveries with the event, endpoint URL, attempts, last response and error
  */
-app.get("/api/products", async (req, res) => {
+app.get("/api/webhooks/deliveries", async (req, res) => {
   try {
     const { page, limit, offset } = getPaginationParams(req);
-    const search = req.query.search || '';
-    let query = "SELECT * FROM products";
-    let countQuery = "SELECT COUNT(*) FROM products";
-    let queryParams = [];
-    if (search) {
-      query += " WHERE name ILIKE $1 OR sku ILIKE $1";
-      countQuery += " WHERE name ILIKE $1 OR sku ILIKE $1";
-      queryParams.push(`%${search}%`);
+    const params = [req.user.shop_id];
+    let whereClause = " WHERE d.shop_id = $1";
+    if (req.query.endpoint_id) {
+      params.push(req.query.endpoint_id);
+      whereClause += ` AND d.endpoint_id = $${params.length}`;
     }
-    query += ` ORDER BY created_at DESC LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
-    queryParams.push(limit, offset);
-    const [products, totalResult] = await Promise.all([
-      pool.query(query, queryParams),
-      pool.query(countQuery, search ? [`%${search}%`] : [])
+    if (req.query.event) {
+      params.push(req.query.event);
+      whereClause += ` AND e.type = $${params.length}`;
+    }
+    if (req.query.status) {
+      params.push(req.query.status);
+      whereClause += ` AND d.status = $${params.length}`;
+    }
+    const fromClause = `
+      FROM webhook_deliveries d
+      JOIN webhook_events e ON e.id = d.event_id
+      JOIN webhook_endpoints endpoint ON endpoint.id = d.endpoint_id
+    `;
+    const [deliveries, totalResult] = await Promise.all([
+      pool.query(`
+        SELECT d.*, e.type as event, endpoint.url, e.data
+        ${fromClause}${whereClause}
+        ORDER BY d.created_at DESC, d.id
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      pool.query(`SELECT COUNT(*) ${fromClause}${whereClause}`, params)
     ]);
     res.json({
-      items: products.rows,
+      items: deliveries.rows,
       total: parseInt(totalResult.rows[0].count),
       page,
       limit
     });
   } catch (err) {
-    console.error("Error fetching products:", err);
-    res.status(500).json({ error: err.message });
+    console.error("Error fetching webhook deliveries:", err);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 /**
  * @swagger
- * /api/products/{id}:
- *   get:
- *     summary: Get product by ID
+ * /api/webhooks/deliveries/{id}/retry:
+ *   post:
+ *     summary: Send a failed or pending webhook delivery again now
+ *     x-permission: webhooks:manage
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
  *     responses:
  *       200:
- *         description: Product details
+ *         description: The delivery after the attempt
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: The event was already delivered
  */
-app.get("/api/products/:id", async (req, res) => {
+app.post("/api/webhooks/deliveries/:id/retry", async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query("SELECT * FROM products WHERE id = $1", [id]);
+    const result = await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $3)
+      WHERE id = $1 AND shop_id = $2 AND status <> 'sent'
+      RETURNING id
+    `, [req.params.id, req.user.shop_id, WEBHOOK_RETRY_SECONDS]);
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Product not found" });
-    }
-    res.json({ product: result.rows[0] });
-  } catch (err) {
-    console.error("Error fetching product:", err);
-    res.status(500).json({ error: err.message });
-  }
-});
-/**
- * @swagger
- * /api/products:
- *   post:
- *     summary: Create a new product
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - price
- *               - mrp
- *             properties:
- *               name:
- *                 type: string
- *               price:
- *                 type: number
- *               mrp:
- *                 type: number
- *               image_url:
- *                 type: string
- *               sku:
- *                 type: string
- *               category:
- *                 type: string
- *     responses:
- *       201:
- *         description: Product created
- */
-app.post("/api/products", async (req, res) => {
-  try {
-    const { name, price, mrp, image_url, sku, category } = req.body;
-    if (!name || !price || !mrp) {
-      return res.status(400).json({ error: "Name, price, and MRP are required" });
+      const existing = await pool.query(
+        "SELECT 1 FROM webhook_deliveries WHERE id = $1 AND shop_id = $2",
+        [req.params.id, req.user.shop_id]
+      );
+      return existing.rows.length === 0
+        ? res.status(404).json({ error: "Delivery not found" })
+        : res.status(409).json({ error: "Event was already delivered" });
     }
-    const result = await pool.query(`
-      INSERT INTO products (name, price, mrp, image_url, sku, category, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      RETURNING *
-    `, [name, price, mrp, image_url, sku, category]);
-    res.status(201).json(result.rows[0]);
+    res.json(await attemptWebhookDelivery(result.rows[0].id));
   } catch (err) {
-    console.error("Error creating product:", err);
-    if (err.code === '23505') {
-      res.status(400).json({ error: "SKU already exists" });
-    } else {
-      res.status(500).json({ error: err.message });
-    }
+    console.error("Error retrying webhook delivery:", err);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 /**
  * @swagger
- * /api/products/{id}:
- *   put:
- *     summary: Update product
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook endpoint with its signing secret
+ *     x-permission: webhooks:manage
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
+ *           format: uuid
  *     responses:
  *       200:
- *         description: Product updated
+ *         description: Endpoint details
+ *       404:
+ *         description: Endpoint not found
  */
-app.put("/api/products/:id", async (req, res) => {
+app.get("/api/webhooks/:id", async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
-    const allowedFields = ['name', 'price', 'mrp', 'image_url', 'sku', 'category'];
-    const fields = Object.keys(updates).filter(key =>
-      allowedFields.includes(key) && updates[key] !== undefined
+    const result = await pool.query(
+      "SELECT * FROM webhook_endpoints WHERE id = $1 AND shop_id = $2",
+      [req.params.id, req.user.shop_id]
     );
-    if (fields.length === 0) {
-      return res.status(400).json({ error: "No valid fields to update" });
-    }
-    const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
-    const values = [id, ...fields.map(field => updates[field])];
-    const result = await pool.query(`
-      UPDATE products
-      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-      RETURNING *
-    `, values);
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Product not found" });
+      return res.status(404).json({ error: "Endpoint not found" });
     }
     res.json(result.rows[0]);
   } catch (err) {
-    console.error("Error updating product:", err);
-    res.status(500).json({ error: err.message });
+    console.error("Error fetching webhook endpoint:", err);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 /**
  * @swagger
- * /api/products/{id}:
- *   delete:
- *     summary: Delete product
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook endpoint
+ *     description: An inactive endpoint gets no new events. Deliveries already queued for it wait until it is active again.
+ *     x-permission: webhooks:manage
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *     responses:
- *       200:
- *         description: Product deleted
- */
-app.delete("/api/products/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query("DELETE FROM products WHERE id = $1 RETURNING *", [id]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Product not found" });
-    }
-    res.json({ message: "Product deleted successfully" });
-  } catch (err) {
-    console.error("Error deleting product:", err);
-    res.status(500).json({ error: err.message });
-  }
-});
-/**
- * @swagger
- * /api/bills:
- *   post:
- *     summary: Create a new bill with items
+ *           format: uuid
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - items
- *               - total_amount
- *               - total_mrp
- *               - total_savings
- *               - created_by
- *             properties:
- *               items:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     product_id:
- *                       type: string
- *                     name:
- *                       type: string
- *                     price:
- *                       type: number
- *                     mrp:
- *                       type: number
- *                     quantity:
- *                       type: integer
- *               total_amount:
- *                 type: number
- *               total_mrp:
- *                 type: number
- *               total_savings:
- *                 type: number
- *               created_by:
- *                 type: string
+ *             allOf:
+ *               - $ref: '#/components/schemas/WebhookEndpointFields'
+ *               - type: object
+ *                 minProperties: 1
  *     responses:
- *       201:
- *         description: Bill created
+ *       200:
+ *         description: Endpoint updated
+ *       404:
+ *         description: Endpoint not found
  */
-app.post("/api/bills", async (req, res) => {
+app.put("/api/webhooks/:id", async (req, res) => {
   const client = await pool.connect();
   try {
+    const { id } = req.params;
+    const updates = req.body;
+    const fields = WEBHOOK_ENDPOINT_FIELDS.filter(field => updates[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+    const setClause = fields.map((field, index) => `${field} = $${index + 3}`).join(', ');
     await client.query('BEGIN');
-    const { items, total_amount, total_mrp, total_savings, created_by } = req.body;
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: "Items array is required" });
+    const existing = await client.query(
+      "SELECT * FROM webhook_endpoints WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [id, req.user.shop_id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Endpoint not found" });
     }
-    const billResult = await client.query(`
-      INSERT INTO bills (total_amount, total_mrp, total_savings, created_by, created_at)
-      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+    const result = await client.query(`
+      UPDATE webhook_endpoints
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND shop_id = $2
       RETURNING *
-    `, [total_amount, total_mrp, total_savings, created_by]);
-    const billId = billResult.rows[0].id;
-    for (const item of items) {
-      await client.query(`
-        INSERT INTO bill_items (bill_id, product_id, name, price, mrp, quantity)
-        VALUES ($1, $2, $3, $4, $5, $6)
-      `, [billId, item.product_id, item.name, item.price, item.mrp, item.quantity]);
-    }
+    `, [id, req.user.shop_id, ...fields.map(field => updates[field])]);
+    await recordAudit(client, req, {
+      entity: 'webhook', entityId: id, action: 'update', before: existing.rows[0], after: result.rows[0]
+    });
     await client.query('COMMIT');
-    const completeBill = await pool.query(`
-      SELECT
-        b.*,
-        json_agg(
-          json_build_object(
-            'id', bi.id,
-            'product_id', bi.product_id,
-            'name', bi.name,
-            'price', bi.price,
-            'mrp', bi.mrp,
-            'quantity', bi.quantity
-          )
-        ) as items
-      FROM bills b
-      LEFT JOIN bill_items bi ON b.id = bi.bill_id
-      WHERE b.id = $1
-      GROUP BY b.id
-    `, [billId]);
-    res.status(201).json(completeBill.rows[0]);
+    res.json(publicWebhookEndpoint(result.rows[0]));
   } catch (err) {
     await client.query('ROLLBACK');
-    console.error("Error creating bill:", err);
-    res.status(500).json({ error: err.message });
+    console.error("Error updating webhook endpoint:", err);
+    res.status(500).json({ error: "Internal server error" });
   } finally {
     client.release();
   }
 });
 /**
  * @swagger
- * /api/bills:
- *   get:
- *     summary: Get bills with date range and pagination
- *     parameters:
- *       - in: query
- *         name: start
- *         schema:
- *           type: string
- *           format: date
- *       - in: query
- *         name: end
- *         schema:
- *           type: string
- *           format: date
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *     responses:
- *       200:
- *         description: List of bills with items
- */
-app.get("/api/bills", async (req, res) => {
-  try {
-    const { page, limit, offset } = getPaginationParams(req);
-    const { start, end } = req.query;
-    let query = `
-      SELECT
-        b.*,
-        json_agg(
-          json_build_object(
-            'id', bi.id,
-            'product_id', bi.product_id,
-            'name', bi.name,
-            'price', bi.price,
-            'mrp', bi.mrp,
-            'quantity', bi.quantity
-          )
-        ) as items
-      FROM bills b
-      LEFT JOIN bill_items bi ON b.id = bi.bill_id
-    `;
-    let countQuery = "SELECT COUNT(*) FROM bills";
-    let queryParams = [];
-    if (start || end) {
-      const conditions = [];
-      if (start) {
-        conditions.push(`b.created_at::date >= $${queryParams.length + 1}`);
-        queryParams.push(start);
-      }
-      if (end) {
-        conditions.push(`b.created_at::date <= $${queryParams.length + 1}`);
-        queryParams.push(end);
-      }
-      const whereClause = ` WHERE ${conditions.join(' AND ')}`;
-      query += whereClause;
-      countQuery += whereClause.replace(/b\./g, '');
-    }
-    query += ` GROUP BY b.id ORDER BY b.created_at DESC LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`;
-    const finalParams = [...queryParams, limit, offset];
-    const [bills, totalResult] = await Promise.all([
-      pool.query(query, finalParams),
-      pool.query(countQuery, queryParams)
-    ]);
-    res.json({
-      items: bills.rows,
-      total: parseInt(totalResult.rows[0].count),
-      page,
-      limit
-    });
-  } catch (err) {
-    console.error("Error fetching bills:", err);
-    res.status(500).json({ error: err.message });
-  }
-});
-/**
- * @swagger
- * /api/bills/{id}:
- *   get:
- *     summary: Get bill by ID with items
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Remove a webhook endpoint
+ *     description: Its pending deliveries and delivery log are removed with it.
+ *     x-permission: webhooks:manage
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
  *     responses:
  *       200:
- *         description: Bill details with items
+ *         description: Endpoint removed
+ *       404:
+ *         description: Endpoint not found
  */
-app.get("/api/bills/:id", async (req, res) => {
+app.delete("/api/webhooks/:id", async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const result = await pool.query(`
-      SELECT
-        b.*,
-        json_agg(
-          json_build_object(
-            'id', bi.id,
-            'product_id', bi.product_id,
-            'name', bi.name,
-            'price', bi.price,
-            'mrp', bi.mrp,
-            'quantity', bi.quantity
-          )
-        ) as items
-      FROM bills b
-      LEFT JOIN bill_items bi ON b.id = bi.bill_id
-      WHERE b.id = $1
-      GROUP BY b.id
-    `, [id]);
+    await client.query('BEGIN');
+    const result = await client.query(
+      "DELETE FROM webhook_endpoints WHERE id = $1 AND shop_id = $2 RETURNING *",
+      [req.params.id, req.user.shop_id]
+    );
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Bill not found" });
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Endpoint not found" });
     }
-    res.json(result.rows[0]);
+    await recordAudit(client, req, {
+      entity: 'webhook', entityId: req.params.id, action: 'delete', before: result.rows[0]
+    });
+    await client.query('COMMIT');
+    res.json({ message: "Endpoint deleted successfully" });
   } catch (err) {
-    console.error("Error fetching bill:", err);
-    res.status(500).json({ error: err.message });
+    await client.query('ROLLBACK');
+    console.error("Error removing webhook endpoint:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
   }
 });
 /**
  * @swagger
- * /api/sales/summary:
+ * /api/audit-log:
  *   get:
- *     summary: Get sales summary and analytics
+ *     summary: Browse the audit log of changes made through the API
+ *     description: >
+ *       Every change to products, bills, customers, promotions, suppliers, purchase orders, the shop profile and
+ *       staff accounts is recorded with who made it and the values before and after. Updates list only the fields
+ *       that changed, so the price history of a product is entity=product, entity_id=its id.
+ *     x-permission: audit:read
  *     parameters:
  *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [product, bill, customer, promotion, user, supplier, purchase_order, webhook]
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: e.g. create, update, delete, void, return, payment or stock_adjustment
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
  *         name: start
  *         schema:
  *           type: string
@@ -517,71 +7413,87 @@ app.get("/api/bills/:id", async (req, res) => {
  *         schema:
  *           type: string
  *           format: date
+ *         description: Dates are days in the shop's timezone
  *       - in: query
- *         name: groupBy
+ *         name: page
  *         schema:
- *           type: string
- *           enum: [product, day, month]
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: Sales summary
+ *         description: Audit entries, newest first
  */
-app.get("/api/sales/summary", async (req, res) => {
+app.get("/api/audit-log", async (req, res) => {
   try {
-    const { start, end, groupBy } = req.query;
-    let whereClause = "";
-    let queryParams = [];
-    if (start || end) {
-      const conditions = [];
-      if (start) {
-        conditions.push(`b.created_at::date >= $${queryParams.length + 1}`);
-        queryParams.push(start);
+    const { page, limit, offset } = getPaginationParams(req);
+    const params = [req.user.shop_id];
+    const conditions = ["a.shop_id = $1"];
+    for (const field of ['entity', 'entity_id', 'action', 'actor_id']) {
+      if (req.query[field]) {
+        params.push(req.query[field]);
+        conditions.push(`a.${field} = $${params.length}`);
+      }
+    }
+    if (req.query.start || req.query.end) {
+      params.push(SHOP_TIMEZONE);
+      const localDate = `(a.created_at AT TIME ZONE $${params.length})::date`;
+      if (req.query.start) {
+        params.push(req.query.start);
+        conditions.push(`${localDate} >= $${params.length}`);
       }
-      if (end) {
-        conditions.push(`b.created_at::date <= $${queryParams.length + 1}`);
-        queryParams.push(end);
+      if (req.query.end) {
+        params.push(req.query.end);
+        conditions.push(`${localDate} <= $${params.length}`);
       }
-      whereClause = ` WHERE ${conditions.join(' AND ')}`;
     }
-    const summaryResult = await pool.query(`
-      SELECT
-        COUNT(*) as total_bills,
-        SUM(total_amount) as total_sales,
-        SUM(total_savings) as total_savings,
-        SUM(total_mrp) as total_mrp
-      FROM bills
-      ${whereClause ? whereClause.replace(/b\./g, '') : ''}
-    `, queryParams);
-    const itemsResult = await pool.query(`
-      SELECT SUM(bi.quantity) as total_items_sold
-      FROM bills b
-      JOIN bill_items bi ON b.id = bi.bill_id
-      ${whereClause}
-    `, queryParams);
-    const topProductsResult = await pool.query(`
-      SELECT
-        bi.name as product_name,
-        SUM(bi.quantity) as total_quantity,
-        SUM(bi.price * bi.quantity) as total_revenue,
-        SUM(bi.mrp * bi.quantity) as total_mrp_value
-      FROM bills b
-      JOIN bill_items bi ON b.id = bi.bill_id
-      ${whereClause}
-      GROUP BY bi.name, bi.product_id
-      ORDER BY total_revenue DESC
-      LIMIT 10
-    `, queryParams);
-    const summary = summaryResult.rows[0] || {
-      total_bills: 0, total_sales: 0, total_savings: 0, total_mrp: 0
-    };
-    summary.total_items_sold = (itemsResult.rows[0] && itemsResult.rows[0].total_items_sold) || 0;
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const [entries, totalResult] = await Promise.all([
+      pool.query(`
+        SELECT a.*, COALESCE(u.name, u.email) as actor_name
+        FROM audit_log a
+        LEFT JOIN users u ON u.id = a.actor_id
+        ${whereClause}
+        ORDER BY a.created_at DESC, a.id
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM audit_log a ${whereClause}`, params)
+    ]);
     res.json({
-      ...summary,
-      top_products: topProductsResult.rows
+      items: entries.rows,
+      total: parseInt(totalResult.rows[0].count),
+      page,
+      limit
     });
   } catch (err) {
-    console.error("Error fetching sales summary:", err);
-    res.status(500).json({ error: err.message });
+    console.error("Error fetching audit log:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/users/profile:
+ *   get:
+ *     summary: Get current user profile
+ *     responses:
+ *       200:
+ *         description: User profile
+ */
+app.get("/api/users/profile", async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json(publicUser(result.rows[0]));
+  } catch (err) {
+    console.error("Error fetching user profile:", err);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 /**
@@ -589,12 +7501,14 @@ app.get("/api/sales/summary", async (req, res) => {
  * /api/users/{id}:
  *   get:
  *     summary: Get user/shop details
+ *     description: Members can read their own account and the shop account, whose id is their shop_id.
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
  *     responses:
  *       200:
  *         description: User details
@@ -602,41 +7516,97 @@ app.get("/api/sales/summary", async (req, res) => {
 app.get("/api/users/:id", async (req, res) => {
   try {
     const { id } = req.params;
+    if (id !== req.user.id && id !== req.user.shop_id) {
+      return res.status(403).json({ error: "You can only access your own account" });
+    }
     const result = await pool.query("SELECT * FROM users WHERE id = $1", [id]);
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "User not found" });
     }
-    res.json(result.rows[0]);
+    res.json(publicUser(result.rows[0]));
   } catch (err) {
     console.error("Error fetching user:", err);
-    res.status(500).json({ error: err.message });
+    res.status(500).json({ error: "Internal server error" });
   }
 });
+// Settings keys are audited one by one so an entry names only the settings that changed
+const auditedUser = ({ settings, ...user }) => ({
+  ...user,
+  ...Object.fromEntries(Object.entries(settings || {}).map(([key, value]) => [`settings.${key}`, value]))
+});
 /**
  * @swagger
  * /api/users/{id}:
  *   put:
  *     summary: Update user/shop details
+ *     description: >
+ *       Members can update their own account. Shop details (shop_name, shop_address, gst
+ *       and settings) live on the shop account, whose id is the shop_id, and only owners
+ *       can change them. Settings are merged into the stored ones by top-level key, so
+ *       sending settings.reports leaves settings.oversell as it was.
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *           format: uuid
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               name:
+ *                 type: string
+ *               shop_name:
+ *                 type: string
+ *               shop_address:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               gst:
+ *                 $ref: '#/components/schemas/Gstin'
+ *               avatar_url:
+ *                 type: string
+ *                 nullable: true
+ *               settings:
+ *                 type: object
+ *                 properties:
+ *                   oversell:
+ *                     type: string
+ *                     enum: [allow, block]
+ *                     description: Whether bills may take stock below zero
+ *                   reports:
+ *                     $ref: '#/components/schemas/ReportSettings'
  *     responses:
  *       200:
  *         description: User updated
  */
 app.put("/api/users/:id", async (req, res) => {
+  const client = await pool.connect();
   try {
     const { id } = req.params;
+    if (id !== req.user.id && !(id === req.user.shop_id && req.user.role === 'owner')) {
+      return res.status(403).json({ error: "You can only update your own account" });
+    }
     const updates = req.body;
+    const shopFields = ['shop_name', 'shop_address', 'gst', 'settings'].filter(field => updates[field] !== undefined);
+    if (shopFields.length > 0 && id !== req.user.shop_id) {
+      return res.status(400).json({ error: "Shop details can only be set on the shop account", fields: shopFields });
+    }
+    const reportsError = updates.settings && reportSettingsError(updates.settings.reports);
+    if (reportsError) {
+      return res.status(400).json({ error: reportsError });
+    }
+    if (typeof updates.email === 'string') {
+      updates.email = updates.email.trim().toLowerCase();
+    }
     const allowedFields = ['name', 'shop_name', 'shop_address', 'phone', 'email', 'gst', 'avatar_url', 'settings'];
     const fields = Object.keys(updates).filter(key =>
       allowedFields.includes(key) && updates[key] !== undefined
@@ -644,82 +7614,404 @@ app.put("/api/users/:id", async (req, res) => {
     if (fields.length === 0) {
       return res.status(400).json({ error: "No valid fields to update" });
     }
-    const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    const setClause = fields.map((field, index) => field === 'settings'
+      ? `settings = settings || $${index + 2}::jsonb`
+      : `${field} = $${index + 2}`).join(', ');
     const values = [id, ...fields.map(field => updates[field])];
-    const result = await pool.query(`
+    await client.query('BEGIN');
+    const existing = await client.query("SELECT * FROM users WHERE id = $1 FOR UPDATE", [id]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "User not found" });
+    }
+    const result = await client.query(`
       UPDATE users
       SET ${setClause}, updated_at = CURRENT_TIMESTAMP
       WHERE id = $1
       RETURNING *
     `, values);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
-    }
-    res.json(result.rows[0]);
+    await recordAudit(client, req, {
+      entity: 'user', entityId: id, action: 'update',
+      before: auditedUser(existing.rows[0]), after: auditedUser(result.rows[0])
+    });
+    await client.query('COMMIT');
+    res.json(publicUser(result.rows[0]));
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Error updating user:", err);
-    res.status(500).json({ error: err.message });
+    if (err.code === '23505') {
+      res.status(400).json({ error: "Email already registered", code: "EMAIL_EXISTS" });
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  } finally {
+    client.release();
   }
 });
 /**
  * @swagger
- * /api/uploads/image:
+ * /api/staff:
+ *   get:
+ *     summary: List the member accounts of the shop
+ *     x-permission: staff:manage
+ *     parameters:
+ *       - in: query
+ *         name: include_deactivated
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Members with their roles, oldest first
+ *       403:
+ *         description: Only owners can manage staff
+ */
+app.get("/api/staff", async (req, res) => {
+  try {
+    const includeDeactivated = req.query.include_deactivated === 'true';
+    const result = await pool.query(`
+      SELECT id, email, name, phone, role, avatar_url, deactivated_at, created_at, updated_at
+      FROM users
+      WHERE shop_id = $1 ${includeDeactivated ? '' : 'AND deactivated_at IS NULL'}
+      ORDER BY created_at, id
+    `, [req.user.shop_id]);
+    res.json({ items: result.rows });
+  } catch (err) {
+    console.error("Error fetching staff:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * @swagger
+ * /api/staff:
  *   post:
- *     summary: Upload image (placeholder)
+ *     summary: Add a member account to the shop
+ *     description: >
+ *       Owners have full access. Managers can change the catalog, stock, promotions and refunds and read reports.
+ *       Cashiers can bill, take payments and look up products and customers.
+ *     x-permission: staff:manage
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - role
  *             properties:
- *               file:
+ *               email:
  *                 type: string
- *                 format: binary
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, manager, cashier]
+ *     responses:
+ *       201:
+ *         description: Member created, they can now log in
+ *       400:
+ *         description: Email already registered
+ *       403:
+ *         description: Only owners can manage staff
+ */
+app.post("/api/staff", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { email, password, name, phone, role } = req.body;
+    const passwordHash = await bcrypt.hash(String(password), 10);
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO users (shop_id, role, email, password_hash, name, phone, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING *
+    `, [req.user.shop_id, role, String(email).trim().toLowerCase(), passwordHash, name, phone]);
+    await recordAudit(client, req, { entity: 'user', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+    await client.query('COMMIT');
+    res.status(201).json(publicUser(result.rows[0]));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error creating staff member:", err);
+    if (err.code === '23505') {
+      res.status(400).json({ error: "Email already registered", code: "EMAIL_EXISTS" });
+    } else {
+      res.status(500).json({ error: "Internal server error" });
+    }
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/staff/{id}:
+ *   put:
+ *     summary: Change a member's role, name or password
+ *     description: >
+ *       A new role applies from the member's next token refresh. Setting a password signs the member out
+ *       everywhere. The shop account always stays an owner, and owners cannot change their own role.
+ *     x-permission: staff:manage
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, manager, cashier]
+ *               password:
+ *                 type: string
+ *                 minLength: 8
  *     responses:
  *       200:
- *         description: Image uploaded
+ *         description: Member updated
+ *       400:
+ *         description: The role of this account cannot be changed
+ *       404:
+ *         description: Member not found
  */
-app.post("/api/uploads/image", (req, res) => {
-  res.json({
-    message: "Image upload endpoint - implement with multer and cloud storage",
-    url: "https://example.com/placeholder-image.jpg"
-  });
+app.put("/api/staff/:id", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { name, phone, role, password } = req.body;
+    if (role !== undefined && (id === req.user.shop_id || id === req.user.id)) {
+      return res.status(400).json({
+        error: id === req.user.id ? "You cannot change your own role" : "The shop account is always an owner"
+      });
+    }
+    const updates = { name, phone, role };
+    if (password !== undefined) {
+      updates.password_hash = await bcrypt.hash(String(password), 10);
+    }
+    const fields = Object.keys(updates).filter(field => updates[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+    await client.query('BEGIN');
+    const existing = await client.query(
+      "SELECT * FROM users WHERE id = $1 AND shop_id = $2 FOR UPDATE",
+      [id, req.user.shop_id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Staff member not found" });
+    }
+    const result = await client.query(`
+      UPDATE users
+      SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, ...fields.map(field => updates[field])]);
+    if (password !== undefined) {
+      await client.query(
+        "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL",
+        [id]
+      );
+    }
+    await recordAudit(client, req, {
+      entity: 'user', entityId: id, action: 'update', before: existing.rows[0], after: result.rows[0]
+    });
+    await client.query('COMMIT');
+    res.json(publicUser(result.rows[0]));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error updating staff member:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
 });
 /**
  * @swagger
- * /api/users/profile:
- *   get:
- *     summary: Get current user profile
+ * /api/staff/{id}:
+ *   delete:
+ *     summary: Deactivate a member account
+ *     description: >
+ *       The member can no longer log in or refresh their session. Their bills and stock changes keep pointing
+ *       at the account. Access tokens already issued stay valid until they expire.
+ *     x-permission: staff:manage
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     responses:
  *       200:
- *         description: User profile
+ *         description: Member deactivated
+ *       400:
+ *         description: The shop account and your own account cannot be deactivated
+ *       404:
+ *         description: Member not found
  */
-app.get("/api/users/profile", async (req, res) => {
+app.delete("/api/staff/:id", async (req, res) => {
+  const client = await pool.connect();
   try {
-    const userId = req.user?.id || 'your-default-user-id';
-    const result = await pool.query("SELECT * FROM users WHERE id = $1", [userId]);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+    const { id } = req.params;
+    if (id === req.user.shop_id || id === req.user.id) {
+      return res.status(400).json({
+        error: id === req.user.id ? "You cannot deactivate your own account" : "The shop account cannot be deactivated"
+      });
     }
-    res.json(result.rows[0]);
+    await client.query('BEGIN');
+    const existing = await client.query(
+      "SELECT * FROM users WHERE id = $1 AND shop_id = $2 AND deactivated_at IS NULL FOR UPDATE",
+      [id, req.user.shop_id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Staff member not found" });
+    }
+    const result = await client.query(
+      "UPDATE users SET deactivated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *",
+      [id]
+    );
+    await client.query(
+      "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL",
+      [id]
+    );
+    await recordAudit(client, req, {
+      entity: 'user', entityId: id, action: 'deactivate', before: existing.rows[0], after: result.rows[0]
+    });
+    await client.query('COMMIT');
+    res.json({ message: "Staff member deactivated", user: publicUser(result.rows[0]) });
   } catch (err) {
-    console.error("Error fetching user profile:", err);
-    res.status(500).json({ error: err.message });
+    await client.query('ROLLBACK');
+    console.error("Error deactivating staff member:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
+/**
+ * @swagger
+ * /api/uploads/image:
+ *   post:
+ *     summary: Upload an image for a product or user avatar
+ *     description: Stores a full-size and a thumbnail WebP variant. The returned url can be used as image_url or avatar_url.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP, up to UPLOAD_MAX_BYTES (5 MB by default)
+ *     responses:
+ *       201:
+ *         description: Image uploaded
+ *       400:
+ *         description: Missing or unreadable image
+ *       413:
+ *         description: Image is too large
+ *       415:
+ *         description: Unsupported image type
+ */
+app.post("/api/uploads/image", handleImageUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "A file field is required" });
+    }
+    try {
+      await sharp(req.file.buffer).metadata();
+    } catch (err) {
+      return res.status(400).json({ error: "File is not a readable image" });
+    }
+    const id = crypto.randomUUID();
+    const sizes = {};
+    for (const [name, variant] of Object.entries(IMAGE_VARIANTS)) {
+      const { data, info } = await sharp(req.file.buffer)
+        .rotate()
+        .resize(variant.size, variant.size, { fit: "inside", withoutEnlargement: true })
+        .webp({ quality: variant.quality })
+        .toBuffer({ resolveWithObject: true });
+      await imageStorage.put(`images/${id}/${name}.webp`, data, "image/webp");
+      sizes[name] = { width: info.width, height: info.height };
+    }
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    res.status(201).json({
+      id,
+      url: `${baseUrl}/api/images/${id}/full.webp`,
+      thumbnail_url: `${baseUrl}/api/images/${id}/thumb.webp`,
+      width: sizes.full.width,
+      height: sizes.full.height
+    });
+  } catch (err) {
+    console.error("Error uploading image:", err);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
-// Legacy endpoint for compatibility
-app.get("/users", async (req, res) => {
+// Legacy endpoint for compatibility, now limited to the caller's own account
+app.get("/users", authenticate, async (req, res) => {
   try {
-    const result = await pool.query("SELECT * FROM users");
-    res.json(result.rows);
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [req.user.id]);
+    res.json(result.rows.map(publicUser));
   } catch (err) {
     console.error("Error fetching users:", err);
-    res.status(500).json({ error: err.message });
+    res.status(500).json({ error: "Internal server error" });
   }
 });
-app.listen(process.env.PORT || 3000, () => {
-  const port = process.env.PORT || 3000;
-  console.log(`🚀 Server running on port ${port}`);
-  console.log(`📄 Swagger UI available at http://localhost:${port}/api-docs`);
+app.use((req, res) => {
+  res.status(404).json({ error: "Route not found" });
 });
+// Errors thrown outside the handlers' own try/catch, e.g. malformed JSON bodies
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: "Request body is not valid JSON", code: "INVALID_JSON" });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: "Request body is too large" });
+  }
+  console.error("Unhandled error:", err);
+  res.status(500).json({ error: "Internal server error" });
+});
+// Refuse to serve against a schema that is missing migrations
+pendingMigrations(pool)
+  .then(pending => {
+    if (pending.length) {
+      console.error(`Database schema is behind: ${pending.map(m => `${m.version}_${m.name}`).join(", ")} pending. Run "npm run migrate" first.`);
+      process.exit(1);
+    }
+    app.listen(process.env.PORT || 3000, () => {
+      const port = process.env.PORT || 3000;
+      console.log(`🚀 Server running on port ${port}`);
+      console.log(`📄 Swagger UI available at http://localhost:${port}/api-docs`);
+      if (REPORT_SCHEDULER_ENABLED) {
+        startBackgroundJob("report scheduler", runReportScheduler, REPORT_SCHEDULER_INTERVAL_SECONDS);
+      }
+      if (WEBHOOK_DISPATCHER_ENABLED) {
+        startBackgroundJob("webhook dispatcher", dispatchWebhooks, WEBHOOK_DISPATCH_INTERVAL_SECONDS);
+      }
+      startBackgroundJob("idempotency key sweep", purgeIdempotencyKeys, IDEMPOTENCY_KEY_SWEEP_SECONDS);
+    });
+  })
+  .catch(err => {
+    console.error("Error checking database schema:", err);
+    process.exit(1);
+  });
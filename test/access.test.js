@@ -0,0 +1,73 @@
+// Shop scoping and staff roles: members of one shop never see or change another
+// shop's data, and each role only does what it is allowed to
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+});
+
+test("requests without a valid token are refused", async () => {
+  assert.equal((await server.api("GET", "/api/products")).status, 401);
+  assert.equal((await server.api("GET", "/api/products", undefined, "not-a-token")).status, 401);
+});
+
+test("a shop cannot read or change another shop's products and bills", async () => {
+  const { access_token: owner } = await server.signup("first-shop@example.com");
+  const { access_token: other } = await server.signup("second-shop@example.com");
+  const { body: product } = await server.api("POST", "/api/products", { name: "Dal 1kg", sku: "DAL-1", price: 90, mrp: 95 }, owner);
+  const { body: bill } = await server.api("POST", "/api/bills", { items: [{ product_id: product.id, quantity: 1 }] }, owner);
+  assert.equal(bill.shop_id, product.shop_id);
+
+  const { body: products } = await server.api("GET", "/api/products", undefined, other);
+  assert.deepEqual(products.items, []);
+  const { body: bills } = await server.api("GET", "/api/bills", undefined, other);
+  assert.deepEqual(bills.items, []);
+  assert.equal((await server.api("GET", `/api/products/${product.id}`, undefined, other)).status, 404);
+  assert.equal((await server.api("GET", `/api/bills/${bill.id}`, undefined, other)).status, 404);
+
+  assert.equal((await server.api("PUT", `/api/products/${product.id}`, { price: 1 }, other)).status, 404);
+  assert.equal((await server.api("DELETE", `/api/products/${product.id}`, undefined, other)).status, 404);
+  assert.equal((await server.api("POST", `/api/bills/${bill.id}/void`, { reason: "Not ours" }, other)).status, 404);
+  const foreignItem = await server.api("POST", "/api/bills", { items: [{ product_id: product.id, quantity: 1 }] }, other);
+  assert.equal(foreignItem.status, 400);
+
+  // The same SKU is free for the other shop to use
+  const ownSku = await server.api("POST", "/api/products", { name: "Dal 1kg", sku: "DAL-1", price: 80, mrp: 95 }, other);
+  assert.equal(ownSku.status, 201);
+
+  const { body: { product: unchanged } } = await server.api("GET", `/api/products/${product.id}`, undefined, owner);
+  assert.equal(Number(unchanged.price), 90);
+  assert.equal(unchanged.archived_at, null);
+  const { body: stillOpen } = await server.api("GET", `/api/bills/${bill.id}`, undefined, owner);
+  assert.equal(stillOpen.status, "completed");
+});
+
+test("a cashier can sell but not edit products", async () => {
+  const { access_token: owner } = await server.signup("staffed-shop@example.com");
+  const { body: product } = await server.api("POST", "/api/products", { name: "Tea 250g", price: 140, mrp: 155 }, owner);
+  const staff = await server.api("POST", "/api/staff", { email: "cashier@example.com", password: "secret123", role: "cashier" }, owner);
+  assert.equal(staff.status, 201);
+  const { body: login } = await server.api("POST", "/api/auth/login", { email: "cashier@example.com", password: "secret123" });
+  const cashier = login.access_token;
+
+  const edit = await server.api("PUT", `/api/products/${product.id}`, { price: 1 }, cashier);
+  assert.equal(edit.status, 403);
+  assert.equal(edit.body.permission, "products:write");
+  assert.equal((await server.api("POST", "/api/products", { name: "Sugar", price: 45, mrp: 50 }, cashier)).status, 403);
+  assert.equal((await server.api("GET", "/api/staff", undefined, cashier)).status, 403);
+
+  const { body: { product: unchanged } } = await server.api("GET", `/api/products/${product.id}`, undefined, cashier);
+  assert.equal(Number(unchanged.price), 140);
+  const bill = await server.api("POST", "/api/bills", { items: [{ product_id: product.id, quantity: 1 }] }, cashier);
+  assert.equal(bill.status, 201);
+});
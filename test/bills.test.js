@@ -0,0 +1,149 @@
+// Bills: server-side pricing, Idempotency-Key retries and listing
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+// Signs up a shop with one product at 100, MRP 120
+const shopWithProduct = async (email) => {
+  const { access_token: token } = await server.signup(email);
+  const product = await server.api("POST", "/api/products", { name: "Ghee 500ml", price: 100, mrp: 120 }, token);
+  assert.equal(product.status, 201);
+  return { token, productId: product.body.id };
+};
+// Two units at a tampered price of 80 with the matching tampered total
+const tamperedBill = (productId, fields = {}) => ({
+  items: [{ product_id: productId, quantity: 2, price: 80 }],
+  total_amount: 160,
+  total_mrp: 240,
+  ...fields
+});
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+});
+
+test("a bill whose prices do not match the catalog is rejected with the differences", async () => {
+  const { token, productId } = await shopWithProduct("reject-prices@example.com");
+
+  const { status, body } = await server.api("POST", "/api/bills", tamperedBill(productId), token);
+  assert.equal(status, 409);
+  assert.equal(body.error, "Bill does not match catalog prices");
+  assert.deepEqual(body.discrepancies, [
+    { index: 0, product_id: productId, field: "price", submitted: 80, expected: 100 },
+    { field: "total_amount", submitted: 160, expected: 200 }
+  ]);
+  assert.equal(body.expected.total_amount, 200);
+  assert.equal(body.expected.total_savings, 40);
+
+  const { body: bills } = await server.api("GET", "/api/bills", undefined, token);
+  assert.equal(bills.items.length, 0);
+});
+
+test("on_mismatch recompute bills at catalog prices and reports the differences", async () => {
+  const { token, productId } = await shopWithProduct("recompute-prices@example.com");
+
+  const { status, body: bill } = await server.api(
+    "POST", "/api/bills", tamperedBill(productId, { on_mismatch: "recompute" }), token
+  );
+  assert.equal(status, 201);
+  assert.equal(Number(bill.total_amount), 200);
+  assert.equal(Number(bill.total_mrp), 240);
+  assert.equal(Number(bill.total_savings), 40);
+  assert.deepEqual(bill.items.map(item => [Number(item.price), Number(item.quantity)]), [[100, 2]]);
+  assert.deepEqual(bill.discrepancies.map(discrepancy => discrepancy.field), ["price", "total_amount"]);
+
+  const { body: stored } = await server.api("GET", `/api/bills/${bill.id}`, undefined, token);
+  assert.equal(Number(stored.total_amount), 200);
+  assert.equal(stored.discrepancies, undefined);
+});
+
+test("a bill without client prices or totals is priced from the catalog", async () => {
+  const { token, productId } = await shopWithProduct("catalog-prices@example.com");
+
+  const { status, body: bill } = await server.api("POST", "/api/bills", {
+    items: [{ product_id: productId, quantity: 3 }]
+  }, token);
+  assert.equal(status, 201);
+  assert.equal(Number(bill.total_amount), 300);
+  assert.equal(bill.discrepancies, undefined);
+});
+
+test("a retried Idempotency-Key replays the bill instead of creating another", async () => {
+  const { token, productId } = await shopWithProduct("replay@example.com");
+  const body = { items: [{ product_id: productId, quantity: 1 }], payments: [{ mode: "cash", amount: 100 }] };
+  const headers = { "Idempotency-Key": "till-1-0001" };
+
+  const first = await server.api("POST", "/api/bills", body, token, headers);
+  assert.equal(first.status, 201);
+  assert.equal(first.headers.get("idempotent-replayed"), null);
+  const retry = await server.api("POST", "/api/bills", body, token, headers);
+  assert.equal(retry.status, 201);
+  assert.equal(retry.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(retry.body, first.body);
+
+  const { body: bills } = await server.api("GET", "/api/bills", undefined, token);
+  assert.equal(bills.items.length, 1);
+  const { body: { product } } = await server.api("GET", `/api/products/${productId}`, undefined, token);
+  assert.equal(Number(product.stock_quantity), -1);
+});
+
+test("an Idempotency-Key reused with a different body is refused", async () => {
+  const { token, productId } = await shopWithProduct("reused-key@example.com");
+  const headers = { "Idempotency-Key": "till-1-0002" };
+
+  const first = await server.api("POST", "/api/bills", { items: [{ product_id: productId, quantity: 1 }] }, token, headers);
+  assert.equal(first.status, 201);
+  const reused = await server.api("POST", "/api/bills", { items: [{ product_id: productId, quantity: 2 }] }, token, headers);
+  assert.equal(reused.status, 409);
+  assert.equal(reused.body.code, "IDEMPOTENCY_KEY_REUSED");
+
+  const { body: bills } = await server.api("GET", "/api/bills", undefined, token);
+  assert.equal(bills.items.length, 1);
+});
+
+test("an expired Idempotency-Key creates a new bill", async () => {
+  const { token, productId } = await shopWithProduct("expired-key@example.com");
+  const body = { items: [{ product_id: productId, quantity: 1 }] };
+  const headers = { "Idempotency-Key": "till-1-0003" };
+
+  const first = await server.api("POST", "/api/bills", body, token, headers);
+  assert.equal(first.status, 201);
+  // Keys are kept for IDEMPOTENCY_KEY_TTL_HOURS, 24 by default
+  await server.query(
+    "UPDATE idempotency_keys SET created_at = created_at - interval '25 hours' WHERE key = $1",
+    [headers["Idempotency-Key"]]
+  );
+  const later = await server.api("POST", "/api/bills", body, token, headers);
+  assert.equal(later.status, 201);
+  assert.equal(later.headers.get("idempotent-replayed"), null);
+  assert.notEqual(later.body.id, first.body.id);
+
+  const replay = await server.api("POST", "/api/bills", body, token, headers);
+  assert.equal(replay.headers.get("idempotent-replayed"), "true");
+  assert.equal(replay.body.id, later.body.id);
+});
+
+test("the bill list filters on days in the shop timezone", async () => {
+  const { token, productId } = await shopWithProduct("bill-dates@example.com");
+  const { body: bill } = await server.api("POST", "/api/bills", { items: [{ product_id: productId, quantity: 1 }] }, token);
+  // 20:00 UTC on 1 March is 01:30 on 2 March in Asia/Kolkata
+  await server.query("UPDATE bills SET created_at = '2026-03-01T20:00:00Z' WHERE id = $1", [bill.id]);
+  const listed = async (start, end, filters = "") => {
+    const { body } = await server.api("GET", `/api/bills?start=${start}&end=${end}${filters}`, undefined, token);
+    assert.equal(body.total, body.items.length);
+    return body.items.map(item => item.id);
+  };
+
+  assert.deepEqual(await listed("2026-03-02", "2026-03-02"), [bill.id]);
+  assert.deepEqual(await listed("2026-03-01", "2026-03-01"), []);
+  assert.deepEqual(await listed("2026-03-02", "2026-03-02", "&payment_status=unpaid"), [bill.id]);
+  assert.deepEqual(await listed("2026-03-02", "2026-03-02", "&payment_status=paid"), []);
+});
@@ -0,0 +1,38 @@
+// Customer stats
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+});
+
+test("voided bills count towards none of a customer's stats", async () => {
+  const { access_token: token } = await server.signup("customers@example.com");
+  const { body: product } = await server.api("POST", "/api/products", { name: "Oil 1l", price: 150, mrp: 160 }, token);
+  const createBill = (payments) => server.api("POST", "/api/bills", {
+    items: [{ product_id: product.id, quantity: 1 }],
+    customer: { name: "Asha", phone: "9000000001" },
+    payments
+  }, token);
+
+  const { body: kept } = await createBill([{ mode: "cash", amount: 150 }]);
+  const { body: voided } = await createBill([{ mode: "credit", amount: 150 }]);
+  assert.equal(voided.customer_id, kept.customer_id);
+  const voidResult = await server.api("POST", `/api/bills/${voided.id}/void`, { reason: "Entered twice" }, token);
+  assert.equal(voidResult.status, 201);
+
+  const { body: customer } = await server.api("GET", `/api/customers/${kept.customer_id}`, undefined, token);
+  assert.equal(Number(customer.bill_count), 1);
+  assert.equal(Number(customer.outstanding), 0);
+  assert.equal(new Date(customer.last_purchase_at).getTime(), new Date(kept.created_at).getTime());
+  assert.equal(customer.last_bill.id, kept.id);
+});
@@ -0,0 +1,156 @@
+// Scheduled reports and outgoing webhooks delivered to a local SMTP server and HTTP receiver
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { SMTPServer } = require("smtp-server");
+const { startServer, sleep } = require("./helpers/server");
+
+const WEBHOOK_MAX_ATTEMPTS = 2;
+
+const mails = [];
+// Requests the receiver got, by path. Paths ending in /flaky refuse the first
+// request, paths ending in /down refuse every one.
+const received = {};
+let smtp, receiver, receiverUrl, server;
+
+// smtp-server wraps its net.Server, which is where the bound address lives
+const listen = (target, netServer = target) => new Promise((resolve, reject) => {
+  netServer.once("error", reject);
+  target.listen(0, "127.0.0.1", () => resolve(netServer.address().port));
+});
+// Signs up a shop and saves its report settings
+const signupWithReports = async (email, reports) => {
+  const { user, access_token: token } = await server.signup(email, { shop_name: "Corner Store" });
+  const updated = await server.api("PUT", `/api/users/${user.id}`, { settings: { reports } }, token);
+  assert.equal(updated.status, 200);
+  return token;
+};
+
+before(async () => {
+  smtp = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ["STARTTLS"],
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on("data", chunk => chunks.push(chunk));
+      stream.on("end", () => {
+        mails.push({ to: session.envelope.rcptTo.map(rcpt => rcpt.address), raw: Buffer.concat(chunks).toString() });
+        callback();
+      });
+    }
+  });
+  const smtpPort = await listen(smtp, smtp.server);
+
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      const requests = received[req.url] = received[req.url] || [];
+      requests.push({ headers: req.headers, body });
+      const refuse = req.url.endsWith("/down") || (req.url.endsWith("/flaky") && requests.length === 1);
+      res.writeHead(refuse ? 503 : 200).end();
+    });
+  });
+  receiverUrl = `http://127.0.0.1:${await listen(receiver)}`;
+
+  server = await startServer({
+    SMTP_URL: `smtp://127.0.0.1:${smtpPort}`,
+    WEBHOOK_RETRY_SECONDS: "1",
+    WEBHOOK_MAX_ATTEMPTS: String(WEBHOOK_MAX_ATTEMPTS)
+  });
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+  if (receiver) {
+    receiver.closeAllConnections();
+    await new Promise(resolve => receiver.close(resolve));
+  }
+  if (smtp) {
+    await new Promise(resolve => smtp.close(resolve));
+  }
+});
+
+test("a due email report is mailed once", async () => {
+  const token = await signupWithReports("mail-report@example.com", {
+    frequency: "daily", channel: "email", email_to: ["owner@example.com"], send_at: "00:00"
+  });
+
+  assert.deepEqual(await server.runCron("reports"), { attempted: 1, sent: 1 });
+  assert.equal(mails.length, 1);
+  assert.deepEqual(mails[0].to, ["owner@example.com"]);
+  assert.match(mails[0].raw, /Subject: Daily report for Corner Store/);
+  assert.match(mails[0].raw, /Bills: 0/);
+
+  assert.deepEqual(await server.runCron("reports"), { attempted: 0, sent: 0 });
+  assert.equal(mails.length, 1);
+  const { body } = await server.api("GET", "/api/reports/deliveries", undefined, token);
+  assert.deepEqual(body.items.map(delivery => [delivery.channel, delivery.status, delivery.attempts]), [["email", "sent", 1]]);
+});
+
+test("a report webhook the receiver refused is sent again on retry", async () => {
+  const token = await signupWithReports("hook-report@example.com", {
+    frequency: "daily", channel: "webhook", webhook_url: `${receiverUrl}/reports/flaky`, send_at: "00:00"
+  });
+
+  assert.deepEqual(await server.runCron("reports"), { attempted: 1, sent: 0 });
+  const { body: log } = await server.api("GET", "/api/reports/deliveries", undefined, token);
+  const [delivery] = log.items;
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.last_error, "Webhook responded with HTTP 503");
+
+  const retried = await server.api("POST", `/api/reports/deliveries/${delivery.id}/retry`, undefined, token);
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.status, "sent");
+  assert.equal(retried.body.attempts, 2);
+  const requests = received["/reports/flaky"];
+  assert.equal(requests.length, 2);
+  const payload = JSON.parse(requests[1].body);
+  assert.equal(payload.event, "report.digest");
+  assert.equal(payload.delivery_id, delivery.id);
+  assert.equal(payload.digest.frequency, "daily");
+
+  const again = await server.api("POST", `/api/reports/deliveries/${delivery.id}/retry`, undefined, token);
+  assert.equal(again.status, 409);
+});
+
+test("bill webhooks are signed and retried with backoff until they fail", async () => {
+  const { access_token: token } = await server.signup("bill-hooks@example.com");
+  const flaky = await server.api("POST", "/api/webhooks", { url: `${receiverUrl}/hooks/flaky`, events: ["bill.created"] }, token);
+  const down = await server.api("POST", "/api/webhooks", { url: `${receiverUrl}/hooks/down`, events: ["bill.created"] }, token);
+  assert.equal(flaky.status, 201);
+  assert.equal(down.status, 201);
+  const product = await server.api("POST", "/api/products", { name: "Rice", price: 60, mrp: 65 }, token);
+  const bill = await server.api("POST", "/api/bills", { items: [{ product_id: product.body.id, quantity: 1 }] }, token);
+  assert.equal(bill.status, 201);
+
+  assert.deepEqual(await server.runCron("webhooks"), { attempted: 2, sent: 0 });
+  // Nothing is due again until the first backoff of WEBHOOK_RETRY_SECONDS has passed
+  assert.deepEqual(await server.runCron("webhooks"), { attempted: 0, sent: 0 });
+  await sleep(1100);
+  assert.deepEqual(await server.runCron("webhooks"), { attempted: 2, sent: 1 });
+
+  const [refused, delivered] = received["/hooks/flaky"];
+  assert.equal(refused.body, delivered.body);
+  const event = JSON.parse(delivered.body);
+  assert.equal(event.type, "bill.created");
+  assert.equal(event.data.id, bill.body.id);
+  assert.equal(delivered.headers["x-webhook-id"], event.id);
+  assert.equal(delivered.headers["x-webhook-event"], "bill.created");
+  const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(delivered.headers["x-webhook-signature"]);
+  const expected = crypto.createHmac("sha256", flaky.body.secret).update(`${timestamp}.${delivered.body}`).digest("hex");
+  assert.equal(signature, expected);
+  assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+
+  assert.equal(received["/hooks/down"].length, WEBHOOK_MAX_ATTEMPTS);
+  const { body: failed } = await server.api("GET", `/api/webhooks/deliveries?endpoint_id=${down.body.id}`, undefined, token);
+  assert.deepEqual(
+    failed.items.map(delivery => [delivery.status, delivery.attempts, delivery.response_status]),
+    [["failed", WEBHOOK_MAX_ATTEMPTS, 503]]
+  );
+  await sleep(2100);
+  assert.deepEqual(await server.runCron("webhooks"), { attempted: 0, sent: 0 });
+});
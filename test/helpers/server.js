@@ -0,0 +1,120 @@
+// Runs the API as a child process against an in-memory Postgres: PGlite behind
+// its socket server, migrated from db/migrations. Background jobs are off, so
+// tests run them through the cron entry points.
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const { Pool } = require("pg");
+const { PGlite } = require("@electric-sql/pglite");
+const { pg_trgm } = require("@electric-sql/pglite/contrib/pg_trgm");
+const { btree_gin } = require("@electric-sql/pglite/contrib/btree_gin");
+const { PGLiteSocketServer } = require("@electric-sql/pglite-socket");
+const migrate = require("../../db/migrate");
+
+const CRON_SECRET = "test-cron-secret";
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer().listen(0, "127.0.0.1", () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  }).on("error", reject);
+});
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const migrateDatabase = async (pool) => {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await migrate.up(pool);
+  } finally {
+    console.log = log;
+  }
+};
+
+// Starts a server with its own empty database; env is added to the child's environment
+const startServer = async (env = {}) => {
+  const db = new PGlite({ extensions: { pg_trgm, btree_gin } });
+  const dbServer = new PGLiteSocketServer({ db, port: 0, maxConnections: 20 });
+  await dbServer.start();
+  const databaseUrl = `postgres://postgres:postgres@${dbServer.getServerConn()}/postgres?sslmode=disable`;
+  // Also lets tests set up state the API cannot, such as aging rows
+  const pool = new Pool({ connectionString: databaseUrl, max: 1 });
+  await migrateDatabase(pool);
+
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "..", "index.js")], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATABASE_URL: databaseUrl,
+      JWT_SECRET: "test-jwt-secret",
+      CRON_SECRET,
+      REPORT_SCHEDULER: "off",
+      WEBHOOK_DISPATCHER: "off",
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  child.stdout.on("data", chunk => (output += chunk));
+  child.stderr.on("data", chunk => (output += chunk));
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once("exit", resolve));
+      child.kill();
+      await exited;
+    }
+    await pool.end();
+    await dbServer.stop();
+  };
+  for (let i = 0; ; i++) {
+    if (child.exitCode !== null) {
+      await stop();
+      throw new Error(`Server exited during startup:\n${output}`);
+    }
+    try {
+      await fetch(`${baseUrl}/api-docs`);
+      break;
+    } catch (err) {
+      if (i >= 100) {
+        await stop();
+        throw new Error(`Server did not start:\n${output}`);
+      }
+      await sleep(200);
+    }
+  }
+
+  const api = async (method, url, body, token, headers = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+  const runCron = async (job) => {
+    const response = await fetch(`${baseUrl}/internal/${job}/run`, {
+      headers: { Authorization: `Bearer ${CRON_SECRET}` }
+    });
+    if (!response.ok) {
+      throw new Error(`/internal/${job}/run responded with HTTP ${response.status}`);
+    }
+    return response.json();
+  };
+  // Signs up a shop and returns its owner and tokens
+  const signup = async (email, fields = {}) => {
+    const { status, body } = await api("POST", "/api/auth/signup", { email, password: "secret123", ...fields });
+    if (status !== 201) {
+      throw new Error(`Signup responded with HTTP ${status}: ${JSON.stringify(body)}`);
+    }
+    return body;
+  };
+  return { baseUrl, api, runCron, signup, query: (sql, params) => pool.query(sql, params), stop };
+};
+
+module.exports = { startServer, sleep };
@@ -0,0 +1,110 @@
+// Split tender, change, balances and refunds on bills
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+// Signs up a shop with one product and returns a bill maker for it
+const shopWithProduct = async (email, price) => {
+  const { access_token: token } = await server.signup(email);
+  const product = await server.api("POST", "/api/products", { name: "Rice", price, mrp: price }, token);
+  assert.equal(product.status, 201);
+  const createBill = (quantity, payments) => server.api("POST", "/api/bills", {
+    items: [{ product_id: product.body.id, quantity }],
+    ...(payments ? { payments } : {})
+  }, token);
+  return { token, createBill };
+};
+const paymentRows = (bill) => bill.payments.map(payment =>
+  [payment.mode, Number(payment.amount), Number(payment.tendered), Number(payment.change_returned)]);
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+});
+
+test("split tender hands the change back from the cash entry", async () => {
+  const { token, createBill } = await shopWithProduct("split@example.com", 430);
+  const { status, body: bill } = await createBill(1, [{ mode: "upi", amount: 200 }, { mode: "cash", amount: 300 }]);
+  assert.equal(status, 201);
+  assert.equal(Number(bill.amount_paid), 430);
+  assert.equal(bill.payment_status, "paid");
+  assert.deepEqual(paymentRows(bill), [["upi", 200, 200, 0], ["cash", 230, 300, 70]]);
+
+  const { body: drawer } = await server.api("GET", "/api/reports/cash-drawer?opening_float=1000", undefined, token);
+  assert.equal(drawer.cash.tendered, 300);
+  assert.equal(drawer.cash.change_returned, 70);
+  assert.equal(drawer.cash.expected_in_drawer, 1230);
+});
+
+test("only cash can be overpaid", async () => {
+  const { token, createBill } = await shopWithProduct("overpay@example.com", 430);
+  const rejected = await createBill(1, [{ mode: "card", amount: 500 }]);
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.body.error, "Payments exceed the amount due and only cash can be overpaid");
+
+  const { body: bill } = await createBill(1, [{ mode: "cash", amount: 30 }]);
+  assert.equal(bill.payment_status, "partially_paid");
+  const upi = await server.api("POST", `/api/bills/${bill.id}/payments`, { mode: "upi", amount: 401 }, token);
+  assert.equal(upi.status, 400);
+  assert.equal(upi.body.balance_due, 400);
+  const cash = await server.api("POST", `/api/bills/${bill.id}/payments`, { mode: "cash", amount: 500 }, token);
+  assert.equal(cash.status, 201);
+  assert.equal(cash.body.payment_status, "paid");
+  assert.deepEqual(paymentRows(cash.body).at(-1), ["cash", 400, 500, 100]);
+});
+
+test("a return refunded on credit comes off the balance due", async () => {
+  const { token, createBill } = await shopWithProduct("credit-return@example.com", 50);
+  const { body: bill } = await createBill(2);
+  assert.equal(bill.payment_status, "unpaid");
+
+  const creditNote = await server.api("POST", `/api/bills/${bill.id}/returns`, {
+    items: [{ bill_item_id: bill.items[0].id, quantity: 1 }],
+    reason: "Damaged"
+  }, token);
+  assert.equal(creditNote.status, 201);
+  assert.equal(creditNote.body.refund_mode, "credit");
+  assert.equal(Number(creditNote.body.credited_amount), 50);
+
+  const { body: returned } = await server.api("GET", `/api/bills/${bill.id}`, undefined, token);
+  assert.equal(Number(returned.amount_credited), 50);
+  assert.equal(returned.payment_status, "unpaid");
+  const over = await server.api("POST", `/api/bills/${bill.id}/payments`, { mode: "card", amount: 60 }, token);
+  assert.equal(over.status, 400);
+  assert.equal(over.body.balance_due, 50);
+  const paid = await server.api("POST", `/api/bills/${bill.id}/payments`, { mode: "card", amount: 50 }, token);
+  assert.equal(paid.status, 201);
+  assert.equal(paid.body.payment_status, "paid");
+});
+
+test("a refund pays out no more than was paid on the bill", async () => {
+  const { token, createBill } = await shopWithProduct("refund-cap@example.com", 50);
+  const { body: bill } = await createBill(2, [{ mode: "cash", amount: 40 }]);
+
+  const upi = await server.api("POST", `/api/bills/${bill.id}/returns`, {
+    items: [{ bill_item_id: bill.items[0].id, quantity: 1 }],
+    reason: "Damaged",
+    refund_mode: "upi"
+  }, token);
+  assert.equal(upi.status, 400);
+  assert.equal(upi.body.error, "A upi refund cannot exceed what was paid on the bill");
+  assert.equal(upi.body.refundable, 40);
+
+  // A void without a refund mode clears the 60 still owed and pays back the 40
+  const voided = await server.api("POST", `/api/bills/${bill.id}/void`, { reason: "Wrong customer" }, token);
+  assert.equal(voided.status, 201);
+  assert.equal(voided.body.refund_mode, "cash");
+  assert.equal(Number(voided.body.total_amount), 100);
+  assert.equal(Number(voided.body.credited_amount), 60);
+
+  const { body: drawer } = await server.api("GET", "/api/reports/cash-drawer", undefined, token);
+  const cashMode = drawer.modes.find(mode => mode.mode === "cash");
+  assert.deepEqual([cashMode.received, cashMode.refunded, cashMode.net], [40, 40, 0]);
+});
@@ -0,0 +1,58 @@
+// Product catalog: search and import
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+});
+
+test("search treats % and _ in the term literally", async () => {
+  const { access_token: token } = await server.signup("search@example.com");
+  for (const [sku, name] of [["SKU_01", "Blue Pen"], ["SKU_010", "Green Pen"], ["SKUX01", "Red Pen"], ["OFF-50", "Notebook 50% off"]]) {
+    const product = await server.api("POST", "/api/products", { sku, name, price: 10, mrp: 10 }, token);
+    assert.equal(product.status, 201);
+  }
+  const search = async (term) => {
+    const { status, body } = await server.api("GET", `/api/products?search=${encodeURIComponent(term)}`, undefined, token);
+    assert.equal(status, 200);
+    return body.items.map(product => product.sku);
+  };
+
+  // The exact SKU first, then SKUs it prefixes
+  assert.deepEqual(await search("SKU_01"), ["SKU_01", "SKU_010"]);
+  assert.deepEqual(await search("50%"), ["OFF-50"]);
+  assert.deepEqual(await search("_"), ["SKU_01", "SKU_010"]);
+});
+
+test("import rejects rows for archived products instead of updating them out of sight", async () => {
+  const { access_token: token } = await server.signup("import-archived@example.com");
+  const { body: archived } = await server.api("POST", "/api/products", { sku: "OLD-1", name: "Old Soap", price: 30, mrp: 30 }, token);
+  assert.equal((await server.api("DELETE", `/api/products/${archived.id}`, undefined, token)).status, 200);
+
+  const form = new FormData();
+  form.append("file", new Blob(["sku,name,price,mrp\nOLD-1,Old Soap,35,35\nNEW-1,New Soap,40,40\n"]), "products.csv");
+  const response = await fetch(`${server.baseUrl}/api/products/import`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  const report = await response.json();
+  assert.equal(response.status, 200);
+  assert.deepEqual([report.created, report.updated, report.failed], [1, 0, 1]);
+  assert.deepEqual(report.rows[0], {
+    row: 2, sku: "OLD-1", status: "error", error: "Product is archived; restore it before importing", id: archived.id
+  });
+
+  const { body: { product } } = await server.api("GET", `/api/products/${archived.id}`, undefined, token);
+  assert.equal(Number(product.price), 30);
+  assert.notEqual(product.archived_at, null);
+});
@@ -0,0 +1,34 @@
+// Request validation against the swagger definitions
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server, token;
+
+before(async () => {
+  server = await startServer();
+  ({ access_token: token } = await server.signup("validation@example.com"));
+});
+
+after(async () => {
+  if (server) {
+    await server.stop();
+  }
+});
+
+test("path parameters are checked against their schema", async () => {
+  const { status, body } = await server.api("GET", "/api/products/not-a-uuid", undefined, token);
+  assert.equal(status, 400);
+  assert.equal(body.code, "VALIDATION_FAILED");
+  assert.deepEqual(body.fields.map(field => field.field), ["params.id"]);
+});
+
+test("a path parameter that cannot be URL-decoded is a validation error", async () => {
+  const { status, body } = await server.api("GET", "/api/products/%E0%A4", undefined, token);
+  assert.equal(status, 400);
+  assert.deepEqual(body, {
+    error: "Validation failed",
+    code: "VALIDATION_FAILED",
+    fields: [{ field: "params.id", message: "must be a valid URL-encoded value" }]
+  });
+});